@@ -0,0 +1,269 @@
+#!/usr/bin/env node
+/**
+ * Score exported session files offline with the server's scoring code
+ * (session fingerprint, session rules and the lite evaluation), without the HTTP server.
+ *
+ * Usage: score-sessions [options] [file|directory|-] ...
+ *
+ * Reads stdin when no paths (or "-") are given. See --help.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Keep stdout for results: only errors are logged, and nothing contacts Qdrant at load time
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+process.env.QDRANT_CHECK_COMPATIBILITY = 'false';
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const { generateSessionFingerprint, evaluateLite } = require('../routes/session-fingerprint');
+const { runSessionRules } = require('../routes/session-rules');
+const { overrideThresholds } = require('../routes/threshold-config');
+const { unwrapSession, primaryDetection, exportedClientIp } = require('../routes/session-export');
+
+const FORMATS = ['table', 'json', 'csv'];
+const RISK_LEVELS = ['LOW', 'MEDIUM', 'HIGH'];
+const INPUT_EXTENSIONS = ['.json', '.ndjson', '.jsonl'];
+
+const USAGE = `Usage: score-sessions [options] [file|directory|-] ...
+
+Scores exported detection sessions (UI export files, multi-detection sessions or
+single detections) from JSON, JSON arrays or NDJSON. Directories are scanned for
+${INPUT_EXTENSIONS.join(', ')} files. Reads stdin when no paths are given.
+
+Options:
+  -f, --format <format>     Output format: ${FORMATS.join(', ')} (default: table)
+  -t, --thresholds <file>   Merge thresholds from this file over thresholds.json
+      --fail-on <risk>      Exit with code 2 if any session is at or above this risk (${RISK_LEVELS.join(', ')})
+  -h, --help                Show this help
+
+Exit codes: 0 success, 1 usage or input error, 2 --fail-on risk reached`;
+
+class UsageError extends Error {}
+
+function parseArgs(argv) {
+    const options = { format: 'table', thresholds: null, failOn: null, paths: [] };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const value = () => {
+            if (i + 1 >= argv.length) throw new UsageError(`${arg} needs a value`);
+            return argv[++i];
+        };
+
+        if (arg === '-h' || arg === '--help') options.help = true;
+        else if (arg === '-f' || arg === '--format') options.format = value();
+        else if (arg === '-t' || arg === '--thresholds') options.thresholds = value();
+        else if (arg === '--fail-on') options.failOn = value().toUpperCase();
+        else if (arg.startsWith('-') && arg !== '-') throw new UsageError(`Unknown option ${arg}`);
+        else options.paths.push(arg);
+    }
+
+    if (!FORMATS.includes(options.format)) {
+        throw new UsageError(`--format must be one of ${FORMATS.join(', ')}`);
+    }
+    if (options.failOn && !RISK_LEVELS.includes(options.failOn)) {
+        throw new UsageError(`--fail-on must be one of ${RISK_LEVELS.join(', ')}`);
+    }
+    return options;
+}
+
+/**
+ * Items of one input: a JSON document (a session or an array of sessions) or NDJSON lines
+ */
+function parseInput(text, source) {
+    try {
+        const document = JSON.parse(text);
+        return Array.isArray(document)
+            ? document.map((value, i) => ({ source, line: i + 1, value }))
+            : [{ source, line: null, value: document }];
+    } catch (error) {
+        // Not a single JSON document, so read it as NDJSON
+    }
+
+    return text.split('\n')
+        .map((line, i) => ({ line: i + 1, text: line.trim() }))
+        .filter(({ text: line }) => line)
+        .map(({ line, text: lineText }) => {
+            try {
+                return { source, line, value: JSON.parse(lineText) };
+            } catch (error) {
+                return { source, line, error: 'Invalid JSON' };
+            }
+        });
+}
+
+function readStdin() {
+    return new Promise((resolve, reject) => {
+        let text = '';
+        process.stdin.setEncoding('utf8');
+        process.stdin.on('data', chunk => { text += chunk; });
+        process.stdin.on('end', () => resolve(text));
+        process.stdin.on('error', reject);
+    });
+}
+
+/**
+ * Files to read for the given paths (directories are expanded, in name order)
+ */
+function listFiles(paths) {
+    return paths.flatMap(inputPath => {
+        if (inputPath === '-') return ['-'];
+
+        const stat = fs.statSync(inputPath);
+        if (!stat.isDirectory()) return [inputPath];
+
+        return fs.readdirSync(inputPath)
+            .filter(name => INPUT_EXTENSIONS.includes(path.extname(name).toLowerCase()))
+            .sort()
+            .map(name => path.join(inputPath, name));
+    });
+}
+
+function maxRisk(...levels) {
+    return levels.reduce((max, level) =>
+        RISK_LEVELS.indexOf(level) > RISK_LEVELS.indexOf(max) ? level : max, 'LOW');
+}
+
+/**
+ * Score one session the way /api/session/analyze-lite and the session rules do,
+ * without similar-session lookups, Gemini or any recorded history
+ */
+async function scoreSession(session) {
+    const detection = primaryDetection(session);
+    const fingerprint = generateSessionFingerprint({
+        sessionId: session.sessionId,
+        accountId: session.accountId,
+        location: detection.location,
+        environment: detection.environment,
+        network: detection.network,
+        timestamp: detection.detectionTimestamp || detection.timestamp,
+        userAgent: detection.environment?.userAgent || session.metadata?.userAgent || null,
+        clientIp: exportedClientIp(detection),
+        detectionResults: detection.detectionResults
+    });
+
+    const rules = runSessionRules(Array.isArray(session.detections) && session.detections.length
+        ? session
+        : { ...session, detections: [detection] });
+    const evaluation = await evaluateLite(fingerprint, [], { replay: true, llm: false });
+    const failedRules = rules.results.filter(rule => rule.result);
+
+    return {
+        sessionId: fingerprint.sessionId,
+        accountId: fingerprint.accountId,
+        deviceId: fingerprint.deviceId,
+        // Failed session rules raise the risk to at least MEDIUM, as in /api/assess
+        risk: RISK_LEVELS.includes(evaluation.riskAssessment)
+            ? maxRisk(evaluation.riskAssessment, rules.hasIssues ? 'MEDIUM' : 'LOW')
+            : evaluation.riskAssessment,
+        riskScore: evaluation.riskScore ?? null,
+        riskFactors: evaluation.riskFactors || [],
+        patterns: evaluation.patterns || [],
+        failedRules: failedRules.map(rule => rule.checkName),
+        ruleMessages: failedRules.map(rule => rule.message).filter(Boolean)
+    };
+}
+
+async function scoreItem(item) {
+    const base = { source: item.source, line: item.line };
+    try {
+        if (item.error) throw new Error(item.error);
+        const session = unwrapSession(item.value);
+        if (!session) throw new Error('Expected a session object');
+        return { ...base, ...await scoreSession(session) };
+    } catch (error) {
+        return { ...base, error: error.message };
+    }
+}
+
+function location(result) {
+    return result.line ? `${result.source}:${result.line}` : result.source;
+}
+
+function formatTable(results) {
+    const rows = results.map(result => result.error
+        ? [location(result), '-', 'ERROR', '-', '-', result.error]
+        : [
+            location(result),
+            result.sessionId,
+            result.risk,
+            String(result.riskScore ?? '-'),
+            result.failedRules.join(', ') || '-',
+            result.riskFactors.join('; ') || '-'
+        ]);
+    const header = ['SOURCE', 'SESSION', 'RISK', 'SCORE', 'FAILED RULES', 'RISK FACTORS'];
+    const widths = header.map((title, column) =>
+        Math.max(title.length, ...rows.map(row => row[column].length)));
+    const line = row => row.map((cell, column) =>
+        column === row.length - 1 ? cell : cell.padEnd(widths[column])).join('  ');
+
+    const counts = RISK_LEVELS.map(level => `${results.filter(r => r.risk === level).length} ${level}`);
+    const errors = results.filter(r => r.error).length;
+
+    return [
+        line(header),
+        ...rows.map(line),
+        '',
+        `${results.length} sessions: ${counts.join(', ')}${errors ? `, ${errors} errors` : ''}`
+    ].join('\n') + '\n';
+}
+
+function csvCell(value) {
+    const text = Array.isArray(value) ? value.join('; ') : value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatCsv(results) {
+    const columns = ['source', 'line', 'sessionId', 'accountId', 'deviceId', 'risk', 'riskScore', 'failedRules', 'riskFactors', 'error'];
+    return [columns.join(','), ...results.map(result => columns.map(column => csvCell(result[column])).join(','))]
+        .join('\n') + '\n';
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.help) {
+        process.stdout.write(USAGE + '\n');
+        return 0;
+    }
+
+    if (options.thresholds) {
+        const overrides = JSON.parse(fs.readFileSync(options.thresholds, 'utf8'));
+        const validation = overrideThresholds(overrides);
+        if (!validation.valid) {
+            const details = validation.errors.map(error => `  ${error.path} ${error.message}`).join('\n');
+            throw new Error(`Invalid thresholds in ${options.thresholds}:\n${details}`);
+        }
+    }
+
+    const files = listFiles(options.paths.length ? options.paths : ['-']);
+    if (files.includes('-') && process.stdin.isTTY) {
+        throw new UsageError('No input: pass files or directories, or pipe sessions to stdin');
+    }
+
+    const items = [];
+    for (const file of files) {
+        const text = file === '-' ? await readStdin() : fs.readFileSync(file, 'utf8');
+        items.push(...parseInput(text, file === '-' ? 'stdin' : file));
+    }
+
+    const results = [];
+    for (const item of items) {
+        results.push(await scoreItem(item));
+    }
+
+    if (options.format === 'json') process.stdout.write(JSON.stringify(results, null, 2) + '\n');
+    else if (options.format === 'csv') process.stdout.write(formatCsv(results));
+    else process.stdout.write(formatTable(results));
+
+    const failOn = RISK_LEVELS.indexOf(options.failOn);
+    return options.failOn && results.some(result => RISK_LEVELS.indexOf(result.risk) >= failOn) ? 2 : 0;
+}
+
+main()
+    .then(code => { process.exitCode = code; })
+    .catch(error => {
+        process.stderr.write(`score-sessions: ${error.message}\n`);
+        if (error instanceof UsageError) process.stderr.write('Run with --help for usage.\n');
+        process.exitCode = 1;
+    });
@@ -13,23 +13,190 @@ const USE_API = true; // Set to true to use backend API
 console.log('API_BASE_URL:', API_BASE_URL);
 console.log('USE_API:', USE_API);
 
+/**
+ * X-Privacy header value for the privacy settings in config.js (empty when none apply)
+ */
+function getPrivacyHeader() {
+    const privacy = window.GEO_DETECTOR_CONFIG?.privacy || {};
+    const preferences = [];
+    if (privacy.ANONYMIZE_IP) preferences.push('anonymize-ip');
+    if (privacy.STORE_LOCATION === false) preferences.push('no-location');
+    return preferences.join(', ');
+}
+
+/**
+ * fetch() wrapper that sends the tenant API key and privacy settings configured in config.js
+ */
+function apiFetch(url, options = {}) {
+    const apiKey = window.GEO_DETECTOR_CONFIG?.API_KEY;
+    const privacy = getPrivacyHeader();
+    if (!apiKey && !privacy) {
+        return fetch(url, options);
+    }
+
+    return fetch(url, {
+        ...options,
+        headers: {
+            ...(options.headers || {}),
+            ...(apiKey ? { 'X-API-Key': apiKey } : {}),
+            ...(privacy ? { 'X-Privacy': privacy } : {})
+        }
+    });
+}
+
+/**
+ * Account identifier configured in config.js (undefined when not set, so it is left out of payloads)
+ */
+function getAccountId() {
+    return window.GEO_DETECTOR_CONFIG?.ACCOUNT_ID || undefined;
+}
+
 class GeoSpoofAPI {
     constructor() {
         this.baseUrl = API_BASE_URL;
     }
 
+    /**
+     * Get a single-use challenge nonce to send back with the next location submission
+     */
+    async getChallenge() {
+        try {
+            const response = await apiFetch(`${this.baseUrl}/challenge`, { cache: 'no-store' });
+
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            const challenge = await response.json();
+            return challenge.nonce;
+        } catch (error) {
+            console.error('Challenge request error:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Start a multi-sample proof of location (the server chooses the number of readings and their timing)
+     */
+    async startLocationProof() {
+        try {
+            const response = await apiFetch(`${this.baseUrl}/location/proof`, { method: 'POST' });
+
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            return await response.json();
+        } catch (error) {
+            console.error('Location proof start error:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Send the readings taken for a proof of location and get the server's analysis
+     */
+    async submitLocationProof(proofId, samples) {
+        try {
+            const response = await apiFetch(`${this.baseUrl}/location/proof/${encodeURIComponent(proofId)}`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ accountId: getAccountId(), samples })
+            });
+
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            return await response.json();
+        } catch (error) {
+            console.error('Location proof error:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Start a live session that detections are pushed to as they complete
+     */
+    async startLiveSession(options = {}) {
+        try {
+            const response = await apiFetch(`${this.baseUrl}/session/live`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ accountId: getAccountId(), ...options })
+            });
+
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            return await response.json();
+        } catch (error) {
+            console.error('Live session start error:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Push one completed detection to a live session and get the running verdict
+     */
+    async pushLiveDetection(sessionId, detection) {
+        try {
+            const response = await apiFetch(`${this.baseUrl}/session/live/${encodeURIComponent(sessionId)}/detections`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify(detection)
+            });
+
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            return await response.json();
+        } catch (error) {
+            console.error('Live detection error:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Finish a live session
+     */
+    async completeLiveSession(sessionId) {
+        try {
+            const response = await apiFetch(`${this.baseUrl}/session/live/${encodeURIComponent(sessionId)}/complete`, {
+                method: 'POST'
+            });
+
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            return await response.json();
+        } catch (error) {
+            console.error('Live session complete error:', error);
+            return null;
+        }
+    }
+
     /**
      * Verify location authenticity through the API
      */
     async verifyLocation(locationData) {
         console.log('Making API call to /api/location/verify', locationData);
         try {
-            const response = await fetch(`${this.baseUrl}/location/verify`, {
+            const response = await apiFetch(`${this.baseUrl}/location/verify`, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
                 },
-                body: JSON.stringify(locationData)
+                body: JSON.stringify({ accountId: getAccountId(), ...locationData })
             });
 
             if (!response.ok) {
@@ -47,11 +214,13 @@ class GeoSpoofAPI {
 
     /**
      * Get location metadata from the API
+     * Passing the browser's Intl timezone lets the server check it against the coordinates
      */
-    async getLocationMetadata(lat, lon) {
+    async getLocationMetadata(lat, lon, timezone) {
         try {
-            const response = await fetch(
-                `${this.baseUrl}/location/metadata?lat=${lat}&lon=${lon}`
+            const tzParam = timezone ? `&timezone=${encodeURIComponent(timezone)}` : '';
+            const response = await apiFetch(
+                `${this.baseUrl}/location/metadata?lat=${lat}&lon=${lon}${tzParam}`
             );
 
             if (!response.ok) {
@@ -71,7 +240,7 @@ class GeoSpoofAPI {
     async analyzeEnvironment(environmentData) {
         console.log('Making API call to /api/environment/analyze', environmentData);
         try {
-            const response = await fetch(`${this.baseUrl}/environment/analyze`, {
+            const response = await apiFetch(`${this.baseUrl}/environment/analyze`, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
@@ -97,7 +266,7 @@ class GeoSpoofAPI {
      */
     async storeDetectionResults(sessionId, results) {
         try {
-            const response = await fetch(`${this.baseUrl}/detection/store`, {
+            const response = await apiFetch(`${this.baseUrl}/detection/store`, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
@@ -115,6 +284,30 @@ class GeoSpoofAPI {
             return null;
         }
     }
+
+    /**
+     * Run all server-side checks on a full detection payload and get one verdict
+     */
+    async assess(payload) {
+        try {
+            const response = await apiFetch(`${this.baseUrl}/assess`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ accountId: getAccountId(), ...payload })
+            });
+
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            return await response.json();
+        } catch (error) {
+            console.error('Assessment error:', error);
+            return null;
+        }
+    }
 }
 
 // Initialize API client
@@ -147,6 +340,11 @@ async function detectLocationWithAPI() {
     
     window.updateCheck('location', 'geo-api', 'pass', 'Available');
 
+    // Requested before the position so the server can tell this reading from a replayed one
+    const nonce = await geoSpoofAPI.getChallenge();
+    // Sent with the verification and the lite analysis of this reading so velocity counts it once
+    window.detectionState.sessionId = generateSessionId();
+
     return new Promise((resolve) => {
         const startTime = performance.now();
         
@@ -233,7 +431,9 @@ async function detectLocationWithAPI() {
                     latitude: position.coords.latitude,
                     longitude: position.coords.longitude,
                     accuracy: position.coords.accuracy,
-                    timestamp: position.timestamp
+                    timestamp: position.timestamp,
+                    sessionId: window.detectionState.sessionId,
+                    nonce
                 };
                 
                 console.log('Sending location data to API:', locationData);
@@ -256,17 +456,26 @@ async function detectLocationWithAPI() {
                     // Get additional metadata
                     const metadata = await geoSpoofAPI.getLocationMetadata(
                         position.coords.latitude,
-                        position.coords.longitude
+                        position.coords.longitude,
+                        Intl.DateTimeFormat().resolvedOptions().timeZone
                     );
 
                     if (metadata) {
                         window.detectionState.location.metadata = metadata;
+                        
+                        // Timezone/location mismatch flags from the server
+                        if (metadata.flags && metadata.flags.length > 0) {
+                            window.detectionState.locationFlags = [
+                                ...window.detectionState.locationFlags,
+                                ...metadata.flags
+                            ];
+                        }
                     }
                     
                     // Perform VPN detection
                     window.updateCheck('location', 'vpn-detection', 'running');
                     try {
-                        const vpnResponse = await fetch('/api/vpn/check');
+                        const vpnResponse = await apiFetch('/api/vpn/check');
                         const vpnData = await vpnResponse.json();
                         
                         if (vpnData.isVPN) {
@@ -350,7 +559,7 @@ async function detectLocationWithAPI() {
                     // Still perform VPN check even on error
                     window.updateCheck('location', 'vpn-detection', 'running');
                     try {
-                        const vpnResponse = await fetch('/api/vpn/check');
+                        const vpnResponse = await apiFetch('/api/vpn/check');
                         const vpnData = await vpnResponse.json();
                         
                         if (vpnData.isVPN) {
@@ -399,7 +608,7 @@ async function detectLocationWithAPI() {
                     // Still perform VPN check even without location
                     window.updateCheck('location', 'vpn-detection', 'running');
                     try {
-                        const vpnResponse = await fetch('/api/vpn/check');
+                        const vpnResponse = await apiFetch('/api/vpn/check');
                         const vpnData = await vpnResponse.json();
                         
                         if (vpnData.isVPN) {
@@ -439,7 +648,9 @@ async function detectEnvironmentWithAPI() {
         touchSupport: 'ontouchstart' in window,
         timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
         language: navigator.language,
-        platform: navigator.platform
+        platform: navigator.platform,
+        cpuCores: navigator.hardwareConcurrency || null,
+        deviceMemory: navigator.deviceMemory || null
     };
 
     // Get WebGL renderer info
@@ -487,6 +698,9 @@ async function storeDetectionResultsAPI() {
         location: window.detectionState.location,
         locationFlags: window.detectionState.locationFlags,
         environmentFlags: window.detectionState.environmentFlags,
+        verificationStatus: window.detectionState.verificationStatus || null,
+        verificationScore: window.detectionState.verificationScore,
+        environmentType: window.detectionState.environmentType || null,
         timestamp: new Date().toISOString()
     };
 
@@ -504,6 +718,17 @@ function generateSessionId() {
     return Date.now().toString(36) + Math.random().toString(36).substr(2);
 }
 
+/**
+ * Copy of a location with a fresh challenge nonce. Every request that sends coordinates
+ * answers its own challenge; the one sent with the reading was used up verifying it.
+ */
+async function withFreshChallenge(location) {
+    if (typeof location?.latitude !== 'number' || typeof location?.longitude !== 'number') {
+        return location;
+    }
+    return { ...location, nonce: await geoSpoofAPI.getChallenge() || undefined };
+}
+
 /**
  * Store session fingerprint for pattern analysis
  */
@@ -514,7 +739,7 @@ async function storeSessionFingerprint() {
         
         // Collect all detection data
         const sessionData = {
-            location: window.detectionState.location,
+            location: await withFreshChallenge(window.detectionState.location),
             environment: {
                 screenResolution: {
                     width: window.screen.width,
@@ -525,6 +750,8 @@ async function storeSessionFingerprint() {
                 timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
                 language: navigator.language,
                 platform: navigator.platform,
+                cpuCores: navigator.hardwareConcurrency || null,
+                deviceMemory: navigator.deviceMemory || null,
                 gpu: getWebGLRenderer(),
                 flags: window.detectionState.environmentFlags
             },
@@ -542,7 +769,7 @@ async function storeSessionFingerprint() {
             }
         };
         
-        const response = await fetch(`${API_BASE_URL}/session/store`, {
+        const response = await apiFetch(`${API_BASE_URL}/session/store`, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
@@ -634,7 +861,7 @@ function showNotification(message, type = 'info') {
  */
 async function findSimilarSessions(sessionData) {
     try {
-        const response = await fetch(`${API_BASE_URL}/session/similar`, {
+        const response = await apiFetch(`${API_BASE_URL}/session/similar`, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
@@ -647,7 +874,7 @@ async function findSimilarSessions(sessionData) {
             console.log('Similar sessions found:', result.similarSessions);
             
             // Get LLM evaluation
-            const evalResponse = await fetch(`${API_BASE_URL}/session/evaluate`, {
+            const evalResponse = await apiFetch(`${API_BASE_URL}/session/evaluate`, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
@@ -866,7 +1093,7 @@ async function storeGroupedSessions(sessions, metadata = {}) {
         // Show storing notification
         showNotification('Storing grouped sessions...', 'info');
         
-        const response = await fetch(`${API_BASE_URL}/session/store-group`, {
+        const response = await apiFetch(`${API_BASE_URL}/session/store-group`, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
@@ -902,6 +1129,30 @@ async function storeGroupedSessions(sessions, metadata = {}) {
     }
 }
 
+// Challenge nonces and proof of location for DetectionRunner's location readings
+window.requestChallengeNonce = () => geoSpoofAPI.getChallenge();
+window.withFreshChallenge = withFreshChallenge;
+window.locationProofAPI = {
+    start: () => geoSpoofAPI.startLocationProof(),
+    submit: (proofId, samples) => geoSpoofAPI.submitLocationProof(proofId, samples)
+};
+
+// Live sessions for DetectionRunner.runSessionWithMultipleDetections({ live: true })
+window.liveSessionAPI = {
+    start: (options) => geoSpoofAPI.startLiveSession(options),
+    push: (sessionId, detection) => geoSpoofAPI.pushLiveDetection(sessionId, detection),
+    complete: (sessionId) => geoSpoofAPI.completeLiveSession(sessionId)
+};
+
+// Continuous monitoring socket for DetectionRunner.startMonitoring()
+window.monitoringAPI = {
+    url: () => API_BASE_URL.replace(/^http/, 'ws') + '/monitor',
+    credentials: () => ({
+        apiKey: window.GEO_DETECTOR_CONFIG?.API_KEY || undefined,
+        accountId: getAccountId()
+    })
+};
+
 // Make storeGroupedSessions available globally
 window.storeGroupedSessions = storeGroupedSessions;
 
@@ -913,18 +1164,25 @@ async function storeSessionWithDetections(session) {
         // Show storing notification
         showNotification('Storing session with multiple detections...', 'info');
         
-        const response = await fetch(`${API_BASE_URL}/session/store-multi`, {
+        const response = await apiFetch(`${API_BASE_URL}/session/store-multi`, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
             },
             body: JSON.stringify({
                 sessionId: session.sessionId,
+                accountId: getAccountId(),
                 startTime: session.startTime,
                 endTime: session.endTime,
                 detections: session.detections,
                 metadata: session.metadata,
-                summary: session.summary
+                summary: session.summary,
+                // The server attaches its own stored result of the proof, not the one the browser received
+                proofId: session.proofOfLocation?.proofId,
+                // The server re-runs the same rules and reports whether these results match
+                ruleCheckResults: window.SessionRulesCheck
+                    ? window.SessionRulesCheck.runAllChecks({ multiDetectionSession: session, currentSession: session })
+                    : undefined
             })
         });
         
@@ -8,6 +8,13 @@ window.GEO_DETECTOR_CONFIG = {
     // API endpoints (can be environment-specific)
     API_BASE_URL: window.location.origin + '/api',
     
+    // Publishable tenant API key sent as X-API-Key (required once tenants are configured on the
+    // server). Everything here is visible to users: never put a secret key in this file.
+    API_KEY: null,
+    
+    // Identifier of the signed-in account, sent as accountId for impossible-travel checks
+    ACCOUNT_ID: null,
+    
     // Feature flags
     features: {
         // Core features
@@ -24,6 +31,12 @@ window.GEO_DETECTOR_CONFIG = {
         IP_GEOLOCATION: true,
         BROWSER_FINGERPRINTING: false, // Privacy concern
         
+        // Push multi-detection runs to a server live session so support agents can watch them
+        LIVE_SESSIONS: true,
+        
+        // Show the button for continuous monitoring (periodic re-checks over a WebSocket)
+        MONITORING: true,
+        
         // Analytics (if needed)
         ANALYTICS_ENABLED: false
     },
@@ -52,7 +65,8 @@ window.GEO_DETECTOR_CONFIG = {
         }
     },
     
-    // Privacy settings
+    // Privacy settings, sent to the API as the X-Privacy header. They can only make the
+    // server's privacy policy (the tenant's privacy thresholds) stricter.
     privacy: {
         // Don't store sensitive data
         STORE_LOCATION: false,
@@ -16,11 +16,11 @@ window.DetectionRunner = (function() {
         }
         
         /**
-         * Start a new session
+         * Start a new session (with the server's ID when it is a live session)
          */
-        startSession(metadata = {}) {
+        startSession(metadata = {}, sessionId = generateSessionId()) {
             this.currentSession = {
-                sessionId: generateSessionId(),
+                sessionId,
                 startTime: new Date().toISOString(),
                 detections: [],
                 metadata: metadata,
@@ -116,6 +116,9 @@ window.DetectionRunner = (function() {
     // Create a singleton session manager
     const sessionManager = new SessionManager();
     
+    // How long to wait for watchPosition before requesting a proof reading directly
+    const WATCH_QUIET_MS = 1000;
+    
     /**
      * Run a detection and add it to the current session
      * @param {Object} options - Options for the detection run
@@ -146,10 +149,11 @@ window.DetectionRunner = (function() {
     /**
      * Start a new detection session
      * @param {Object} metadata - Session metadata
+     * @param {string} sessionId - Session ID to use instead of a generated one
      * @returns {string} Session ID
      */
-    function startSession(metadata = {}) {
-        return sessionManager.startSession(metadata);
+    function startSession(metadata = {}, sessionId) {
+        return sessionManager.startSession(metadata, sessionId);
     }
     
     /**
@@ -184,19 +188,28 @@ window.DetectionRunner = (function() {
      * @param {number} count - Number of detections to run
      * @param {number} delay - Delay between detections in ms
      * @param {Object} options - Detection options
+     * @param {boolean} options.proofOfLocation - Also run a server-scheduled proof of location (see runProofOfLocation)
+     * @param {boolean} options.live - Push each detection to a server live session as it completes,
+     *   so observers can follow the verdict on its event stream
      * @returns {Promise<Object>} Complete session with all detections
      */
     async function runSessionWithMultipleDetections(count = 3, delay = 1000, options = {}) {
-        const { metadata = {}, ...detectionOptions } = options;
-        
-        // Start a new session
-        const sessionId = startSession({
+        const { metadata = {}, proofOfLocation = false, live = false, ...detectionOptions } = options;
+        const sessionMetadata = {
             ...metadata,
             plannedDetections: count,
             delay: delay
-        });
+        };
+        
+        // A live session is started on the server first and the session takes its ID
+        const liveSession = live && window.liveSessionAPI
+            ? await window.liveSessionAPI.start({ metadata: sessionMetadata, plannedDetections: count })
+            : null;
         
-        console.log(`Started session ${sessionId} for ${count} detections`);
+        // Start a new session
+        const sessionId = startSession(sessionMetadata, liveSession?.sessionId);
+        
+        console.log(`Started ${liveSession ? 'live ' : ''}session ${sessionId} for ${count} detections`);
         
         // Run detections
         for (let i = 0; i < count; i++) {
@@ -209,18 +222,305 @@ window.DetectionRunner = (function() {
                 autoSession: false
             });
             
+            if (liveSession) {
+                const detections = sessionManager.getCurrentSession().detections;
+                await window.liveSessionAPI.push(sessionId, detections[detections.length - 1]);
+            }
+            
             if (i < count - 1) {
                 await new Promise(resolve => setTimeout(resolve, delay));
             }
         }
         
+        const proof = proofOfLocation ? await runProofOfLocation({ silent: options.silent }) : null;
+        
         // End session and return complete data
         const completedSession = endSession();
+        if (proof) {
+            completedSession.proofOfLocation = proof;
+        }
+        if (liveSession) {
+            completedSession.live = await window.liveSessionAPI.complete(sessionId);
+        }
         console.log(`Completed session ${sessionId} with ${completedSession.detections.length} detections`);
         
         return completedSession;
     }
     
+    /**
+     * Run a multi-sample proof of location. The server chooses how many readings to take
+     * and the random wait before each one; readings come from watchPosition and the
+     * server analyzes them as a set (jitter, accuracy, timing and movement).
+     * @param {Object} options
+     * @param {boolean} options.silent - Whether to suppress console output
+     * @returns {Promise<Object|null>} The server's proof result, or null if it could not run
+     */
+    async function runProofOfLocation(options = {}) {
+        const { silent = false } = options;
+        
+        if (!navigator.geolocation || !window.locationProofAPI) {
+            return null;
+        }
+        
+        const proof = await window.locationProofAPI.start();
+        if (!proof) {
+            return null;
+        }
+        
+        if (!silent) {
+            console.log(`Proof of location ${proof.proofId}: ${proof.samples} readings, intervals ${proof.intervalsMs.join('/')}ms`);
+        }
+        
+        try {
+            const samples = await collectScheduledReadings(proof.intervalsMs, proof.positionTimeoutMs);
+            return await window.locationProofAPI.submit(proof.proofId, samples);
+        } catch (error) {
+            console.error('Proof of location error:', error);
+            return null;
+        }
+    }
+    
+    /**
+     * Take one reading now and one after each interval. A reading is the first position
+     * watchPosition reports once its time has come; when the watch stays quiet (common
+     * for a device that isn't moving), a fresh one-off position is requested instead.
+     */
+    async function collectScheduledReadings(intervalsMs, positionTimeoutMs) {
+        const positionOptions = { enableHighAccuracy: true, maximumAge: 0, timeout: positionTimeoutMs };
+        let waiting = null;
+        
+        const watchId = navigator.geolocation.watchPosition(
+            (position) => {
+                if (waiting) waiting.resolve(position);
+            },
+            (error) => {
+                if (waiting) waiting.reject(error);
+            },
+            positionOptions
+        );
+        
+        // Each reading settles once, from whichever source reports first
+        const nextReading = () => new Promise((resolve, reject) => {
+            let fallback = null;
+            const settle = (callback) => (value) => {
+                if (waiting !== pending) return;
+                clearTimeout(fallback);
+                waiting = null;
+                callback(value);
+            };
+            const pending = { resolve: settle(resolve), reject: settle(reject) };
+            waiting = pending;
+            
+            fallback = setTimeout(() => {
+                navigator.geolocation.getCurrentPosition(pending.resolve, pending.reject, positionOptions);
+            }, WATCH_QUIET_MS);
+        });
+        
+        try {
+            const samples = [];
+            for (let i = 0; i <= intervalsMs.length; i++) {
+                if (i > 0) {
+                    await new Promise(resolve => setTimeout(resolve, intervalsMs[i - 1]));
+                }
+                
+                const position = await nextReading();
+                samples.push({
+                    latitude: position.coords.latitude,
+                    longitude: position.coords.longitude,
+                    accuracy: position.coords.accuracy,
+                    altitude: position.coords.altitude,
+                    speed: position.coords.speed,
+                    timestamp: position.timestamp
+                });
+            }
+            return samples;
+        } finally {
+            navigator.geolocation.clearWatch(watchId);
+        }
+    }
+    
+    // Reconnect delays after the monitoring socket drops, in ms (the last one repeats)
+    const MONITOR_RECONNECT_MS = [1000, 2000, 5000, 10000, 30000];
+    
+    // Close codes after which monitoring ends: stopped, rejected, unauthorized, taken over by another tab
+    const MONITOR_FINAL_CLOSE_CODES = [1000, 1008, 4401, 4409];
+    
+    let activeMonitor = null;
+    
+    /**
+     * Start continuous monitoring over a WebSocket. Every checkIntervalSeconds (set by the server)
+     * a lightweight check is sent: the latest watchPosition reading and an environment snapshot.
+     * The server checks the connection IP itself, keeps the rolling risk and reports each change.
+     * A dropped connection is resumed with the same monitor.
+     * @param {Object} options
+     * @param {Object} options.metadata - Monitor metadata (e.g. the exam or desk being monitored)
+     * @param {boolean} options.includeLocation - Whether to send location readings
+     * @param {Function} options.onRiskChange - Called with each risk_changed message
+     * @param {Function} options.onCheck - Called with each check_result message
+     * @param {Function} options.onError - Called with server errors and connection problems
+     * @returns {Object} Monitor handle: { monitorId, state, stop() }
+     */
+    function startMonitoring(options = {}) {
+        const {
+            metadata = {},
+            includeLocation = true,
+            onRiskChange = () => {},
+            onCheck = () => {},
+            onError = () => {}
+        } = options;
+        
+        if (!window.WebSocket || !window.monitoringAPI) {
+            throw new Error('Monitoring needs WebSocket support and the API integration module');
+        }
+        stopMonitoring();
+        
+        const monitor = { monitorId: null, state: null, stopped: false };
+        let socket = null;
+        let nonce = null;
+        let intervalMs = null;
+        let checkTimer = null;
+        let reconnectTimer = null;
+        let reconnectAttempt = 0;
+        let latestPosition = null;
+        
+        const watchId = includeLocation && navigator.geolocation
+            ? navigator.geolocation.watchPosition(
+                (position) => { latestPosition = position; },
+                (error) => onError({ error: 'Location unavailable', message: error.message }),
+                { enableHighAccuracy: true, maximumAge: 0 }
+            )
+            : null;
+        
+        const send = (message) => {
+            if (socket && socket.readyState === WebSocket.OPEN) {
+                socket.send(JSON.stringify(message));
+            }
+        };
+        
+        // A device that isn't moving may not report new watch positions, so ask for a fresh one
+        const freshPosition = () => new Promise(resolve => {
+            navigator.geolocation.getCurrentPosition(resolve, () => resolve(latestPosition), {
+                enableHighAccuracy: true,
+                maximumAge: 0,
+                timeout: 10000
+            });
+        });
+        
+        async function runCheck() {
+            const detection = await runDetection({ includeLocation: false, includeNetwork: false, silent: true });
+            
+            let position = latestPosition;
+            if (watchId !== null && (!position || Date.now() - position.timestamp > intervalMs / 2)) {
+                position = await freshPosition();
+            }
+            
+            send({
+                type: 'check',
+                nonce: nonce || undefined,
+                environment: detection.environment,
+                location: position ? {
+                    latitude: position.coords.latitude,
+                    longitude: position.coords.longitude,
+                    accuracy: position.coords.accuracy,
+                    timestamp: position.timestamp
+                } : undefined
+            });
+        }
+        
+        const check = () => runCheck().catch(error => onError({ error: 'Check failed', message: error.message }));
+        
+        function handleMessage(event) {
+            const message = JSON.parse(event.data);
+            // Every server message may carry the nonce the next check has to answer
+            if (message.nonce) {
+                nonce = message.nonce;
+            }
+            
+            switch (message.type) {
+                case 'started':
+                    monitor.monitorId = message.monitorId;
+                    monitor.state = message.state;
+                    reconnectAttempt = 0;
+                    intervalMs = message.checkIntervalSeconds * 1000;
+                    clearInterval(checkTimer);
+                    checkTimer = setInterval(check, intervalMs);
+                    if (!message.resumed) {
+                        check();
+                    }
+                    break;
+                case 'check_result':
+                    monitor.state = message.state;
+                    onCheck(message);
+                    break;
+                case 'risk_changed':
+                    onRiskChange(message);
+                    break;
+                case 'error':
+                    onError(message);
+                    break;
+            }
+        }
+        
+        function connect() {
+            const { apiKey, accountId } = window.monitoringAPI.credentials();
+            socket = new WebSocket(window.monitoringAPI.url());
+            socket.onmessage = handleMessage;
+            socket.onopen = () => send({
+                type: 'start',
+                apiKey,
+                accountId,
+                metadata,
+                monitorId: monitor.monitorId || undefined
+            });
+            socket.onclose = (event) => {
+                clearInterval(checkTimer);
+                if (monitor.stopped) return;
+                
+                if (MONITOR_FINAL_CLOSE_CODES.includes(event.code)) {
+                    onError({ error: 'Monitoring ended', code: event.code, message: event.reason });
+                    stopMonitoring();
+                    return;
+                }
+                
+                // The server forgot the monitor (restart or timeout), so start a new one
+                if (event.code === 4404 || event.code === 4408) {
+                    monitor.monitorId = null;
+                }
+                
+                const delay = MONITOR_RECONNECT_MS[Math.min(reconnectAttempt++, MONITOR_RECONNECT_MS.length - 1)];
+                reconnectTimer = setTimeout(connect, delay);
+            };
+        }
+        
+        monitor.stop = () => {
+            if (monitor.stopped) return;
+            monitor.stopped = true;
+            clearInterval(checkTimer);
+            clearTimeout(reconnectTimer);
+            if (watchId !== null) {
+                navigator.geolocation.clearWatch(watchId);
+            }
+            // The server closes the socket once it has ended the monitor
+            send({ type: 'stop' });
+            if (activeMonitor === monitor) {
+                activeMonitor = null;
+            }
+        };
+        
+        activeMonitor = monitor;
+        connect();
+        return monitor;
+    }
+    
+    /**
+     * Stop the running monitor, if any
+     */
+    function stopMonitoring() {
+        if (activeMonitor) {
+            activeMonitor.stop();
+        }
+    }
+    
     /**
      * Run a complete detection cycle and return a session object
      * @param {Object} options - Options for the detection run
@@ -322,7 +622,7 @@ window.DetectionRunner = (function() {
                         if (debugInfo) {
                             const renderer = gl.getParameter(debugInfo.UNMASKED_RENDERER_WEBGL);
                             detectionState.environment.webglRenderer = renderer;
-                            detectionState.environment.clientIp = window.detectionState.location.clientIP;
+                            detectionState.environment.clientIp = window.detectionState?.location?.clientIP;
                             
                             if (renderer.includes('VMware') || renderer.includes('VirtualBox')) {
                                 detectionState.environmentFlags.push({
@@ -342,6 +642,9 @@ window.DetectionRunner = (function() {
                 
                 // Additional environment properties
                 detectionState.environment.platform = navigator.platform;
+                // Part of the server's device ID (deviceMemory is Chromium-only)
+                detectionState.environment.cpuCores = navigator.hardwareConcurrency || null;
+                detectionState.environment.deviceMemory = navigator.deviceMemory || null;
                 detectionState.environment.userAgent = navigator.userAgent;
                 detectionState.environment.language = navigator.language;
                 detectionState.environment.languages = navigator.languages;
@@ -427,6 +730,11 @@ window.DetectionRunner = (function() {
     async function detectLocationAsync(detectionState, updateLocalCheck) {
         const thresholds = window.ThresholdsConfig.getThresholdsSync();
         
+        // Each reading answers its own server challenge, which is sent back when the session is stored
+        const nonce = navigator.geolocation && window.requestChallengeNonce
+            ? await window.requestChallengeNonce()
+            : null;
+        
         return new Promise((resolve) => {
             if (!navigator.geolocation) {
                 detectionState.locationFlags.push({
@@ -454,7 +762,8 @@ window.DetectionRunner = (function() {
                         longitude: position.coords.longitude,
                         accuracy: position.coords.accuracy,
                         timestamp: position.timestamp,
-                        responseTime: duration
+                        responseTime: duration,
+                        nonce
                     };
                     
                     // Check response time
@@ -710,6 +1019,9 @@ window.DetectionRunner = (function() {
     return {
         runDetection,
         runSessionWithMultipleDetections,
+        runProofOfLocation,
+        startMonitoring,
+        stopMonitoring,
         generateSessionId,
         startSession,
         endSession,
@@ -1,313 +1,240 @@
 // Session Rules Check Module
-// Performs rule-based validation on detection sessions
+// Evaluates the declarative rules in session-rules.json against detection sessions
+// Loaded as window.SessionRulesCheck in the browser and via require() on the server
 
-window.SessionRulesCheck = (function() {
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SessionRulesCheck = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function() {
     'use strict';
 
-    // Check if accuracy is an integer
-    function checkIntAccuracy(data) {
-        let errorMessage = '';
-        if (!data?.multiDetectionSession?.detections) {
-            return { result: false, message: errorMessage };
-        }
-        
-        for (const entry of data.multiDetectionSession.detections) {
-            if (entry.location && Number.isInteger(entry.location.accuracy)) {
-                errorMessage = '[Json check] Accuracy is an integer';
-                return { result: true, message: errorMessage };
-            }
-        }
-        return { result: false, message: errorMessage };
+    // Rule set used when runAllChecks is called without one
+    let currentRules = { version: 0, rules: [] };
+
+    // Read a dotted path such as "location.accuracy" from an object
+    function getField(obj, path) {
+        return String(path).split('.').reduce((value, key) =>
+            value === null || value === undefined ? undefined : value[key], obj);
     }
 
-    // Check if all accuracies are empty
-    function checkIfAllEmptyAccuracy(data) {
-        let errorMessage = '';
-        if (!data?.multiDetectionSession?.detections) {
-            return { result: false, message: errorMessage };
-        }
-        
-        let allEmpty = true;
-        for (const entry of data.multiDetectionSession.detections) {
-            if (entry.location && entry.location.accuracy !== null && entry.location.accuracy !== undefined) {
-                allEmpty = false;
-                break;
-            }
-        }
-        
-        if (allEmpty) {
-            errorMessage = '[Json check] All accuracies are empty';
-            return { result: true, message: errorMessage };
-        }
-        return { result: false, message: errorMessage };
+    function isEmpty(value) {
+        return value === null || value === undefined || value === '';
     }
 
-    // Check if all accuracies are 150
-    function checkIfDevtool(data) {
-        let errorMessage = '';
-        if (!data?.multiDetectionSession?.detections) {
-            return { result: false, message: errorMessage };
+    // A condition's field, or the first non-empty one of a list of fallbacks
+    function getConditionField(detection, field) {
+        if (!Array.isArray(field)) {
+            return getField(detection, field);
         }
-        
-        // Get list of accuracies
-        const accuracies = data.multiDetectionSession.detections
-            .filter(entry => entry.location && entry.location.accuracy !== null && entry.location.accuracy !== undefined)
-            .map(entry => entry.location.accuracy);
-        
-        // Check if all accuracies are 150
-        if (accuracies.length > 0 && accuracies.every(accuracy => accuracy === 150)) {
-            errorMessage = '[Json check] All accuracies are 150';
-            return { result: true, message: errorMessage };
-        }
-        return { result: false, message: errorMessage };
+        return field.map(path => getField(detection, path)).find(value => !isEmpty(value));
     }
 
-    // Check if all accuracies are the same
-    function checkIfAllAccuracySame(data) {
-        let errorMessage = '';
-        if (!data?.multiDetectionSession?.detections) {
-            return { result: false, message: errorMessage };
-        }
-        
-        // Get list of accuracies
-        const accuracies = data.multiDetectionSession.detections
-            .filter(entry => entry.location && entry.location.accuracy !== null && entry.location.accuracy !== undefined)
-            .map(entry => entry.location.accuracy);
-        
-        // Get unique accuracies
-        const uniqueAccuracies = [...new Set(accuracies)];
-        
-        if (accuracies.length > 0 && uniqueAccuracies.length === 1) {
-            errorMessage = '[Json check] All accuracies are the same';
-            return { result: true, message: errorMessage };
+    // String matching is case-insensitive; arrays match on their elements
+    function includes(haystack, needle) {
+        if (Array.isArray(haystack)) {
+            return haystack.includes(needle);
         }
-        return { result: false, message: errorMessage };
+        return String(isEmpty(haystack) ? '' : haystack).toLowerCase()
+            .includes(String(needle).toLowerCase());
     }
 
-    // Check if all latitude and longitude are empty
-    function checkIfAllLatLongEmpty(data) {
-        let errorMessage = '';
-        if (!data?.multiDetectionSession?.detections) {
-            return { result: false, message: errorMessage };
+    const OPERATORS = {
+        eq: (a, b) => JSON.stringify(a) === JSON.stringify(b),
+        ne: (a, b) => JSON.stringify(a) !== JSON.stringify(b),
+        gt: (a, b) => typeof a === 'number' && a > b,
+        gte: (a, b) => typeof a === 'number' && a >= b,
+        lt: (a, b) => typeof a === 'number' && a < b,
+        lte: (a, b) => typeof a === 'number' && a <= b,
+        in: (a, b) => Array.isArray(b) && b.some(item => OPERATORS.eq(a, item)),
+        notIn: (a, b) => !OPERATORS.in(a, b),
+        contains: (a, b) => includes(a, b),
+        notContains: (a, b) => !includes(a, b),
+        containsAny: (a, b) => b.some(item => includes(a, item)),
+        containsAll: (a, b) => b.every(item => includes(a, item)),
+        notContainsAny: (a, b) => !b.some(item => includes(a, item)),
+        matches: (a, b) => !isEmpty(a) && new RegExp(b, 'i').test(String(a)),
+        empty: a => isEmpty(a),
+        notEmpty: a => !isEmpty(a),
+        isInteger: a => Number.isInteger(a)
+    };
+
+    // Evaluate a condition against a single detection
+    function evaluateCondition(condition, detection) {
+        if (condition.all) {
+            return condition.all.every(c => evaluateCondition(c, detection));
         }
-        
-        let allEmpty = true;
-        for (const entry of data.multiDetectionSession.detections) {
-            if (entry.location && (
-                (entry.location.latitude !== null && entry.location.latitude !== undefined) ||
-                (entry.location.longitude !== null && entry.location.longitude !== undefined)
-            )) {
-                allEmpty = false;
-                break;
-            }
+        if (condition.any) {
+            return condition.any.some(c => evaluateCondition(c, detection));
         }
-        
-        if (allEmpty) {
-            errorMessage = '[Json check] All latitude and longitude are empty';
-            return { result: true, message: errorMessage };
+        if (condition.not) {
+            return !evaluateCondition(condition.not, detection);
         }
-        return { result: false, message: errorMessage };
-    }
 
-    // Check if all latitude and longitude are the same
-    function checkIfAllLatLongSame(data) {
-        let errorMessage = '';
-        if (!data?.multiDetectionSession?.detections) {
-            return { result: false, message: errorMessage };
+        const operator = OPERATORS[condition.op];
+        if (!operator) {
+            throw new Error(`Unknown operator "${condition.op}"`);
         }
-        
-        // Get list of coordinates
-        const coordinates = data.multiDetectionSession.detections
-            .filter(entry => entry.location && 
-                entry.location.latitude !== null && entry.location.latitude !== undefined &&
-                entry.location.longitude !== null && entry.location.longitude !== undefined)
-            .map(entry => `${entry.location.latitude},${entry.location.longitude}`);
-        
-        // Get unique coordinates
-        const uniqueCoordinates = [...new Set(coordinates)];
-        
-        if (coordinates.length > 0 && uniqueCoordinates.length === 1) {
-            errorMessage = '[Json check] All latitude and longitude are the same';
-            return { result: true, message: errorMessage };
-        }
-        return { result: false, message: errorMessage };
+        return operator(getConditionField(detection, condition.field), condition.value);
     }
 
-    // Check for virtual machine
-    function checkVirtualMachine(data) {
-        let errorMessage = '';
-        if (!data?.multiDetectionSession?.detections) {
-            // Also check currentSession for single detection
-            if (data?.currentSession?.environment) {
-                const env = data.currentSession.environment;
-                const webglRenderer = (env.webglRenderer || '').toLowerCase();
-                const platform = (env.platform || '').toLowerCase();
-                
-                if (webglRenderer.includes('angle') && webglRenderer.includes('intel') && webglRenderer.includes('mesa')) {
-                    errorMessage = '[Json check] Virtual machine';
-                    return { result: true, message: errorMessage };
-                }
-                
-                if (platform.includes('linux')) {
-                    errorMessage = '[Json check] Virtual machine is Linux';
-                    return { result: true, message: errorMessage };
-                }
-            }
-            return { result: false, message: errorMessage };
-        }
-        
-        for (const entry of data.multiDetectionSession.detections) {
-            if (entry.environment) {
-                const webglRenderer = (entry.environment.webglRenderer || '').toLowerCase();
-                if (webglRenderer.includes('angle') && webglRenderer.includes('intel') && webglRenderer.includes('mesa')) {
-                    errorMessage = '[Json check] Virtual machine';
-                    return { result: true, message: errorMessage };
-                }
-                
-                const platform = (entry.environment.platform || '').toLowerCase();
-                if (platform.includes('linux')) {
-                    errorMessage = '[Json check] Virtual machine is Linux';
-                    return { result: true, message: errorMessage };
-                }
-            }
-        }
-        return { result: false, message: errorMessage };
+    // Non-empty values of a field (or of a tuple of fields) across detections
+    function collectValues(detections, field) {
+        const fields = Array.isArray(field) ? field : [field];
+        return detections
+            .map(detection => fields.map(f => getField(detection, f)))
+            .filter(values => values.every(value => !isEmpty(value)))
+            .map(values => Array.isArray(field) ? values : values[0]);
     }
 
-    // Check user agent GPU match
-    function userAgentGpuMatch(data) {
-        const USER_AGENT_KEYWORDS = ['linux', 'windows', 'mac', 'android', 'iphone', 'ipad'];
-        
-        let detection = null;
-        if (data?.multiDetectionSession?.detections?.[0]) {
-            detection = data.multiDetectionSession.detections[0];
-        } else if (data?.currentSession) {
-            detection = data.currentSession;
-        }
-        
-        if (!detection || !detection.environment) {
-            return { result: false, message: 'No detection data found' };
+    function compare(value, node) {
+        return OPERATORS[node.op](value, node.value);
+    }
+
+    /**
+     * Evaluate a rule's "when" node against all detections in the session.
+     *
+     * Aggregates:
+     * - all / any / none: "where" is checked on every detection, or
+     *   "field" + "op" + "value" on every non-empty value of the field.
+     *   "all" needs at least one detection (or value).
+     * - first: "where" is checked on the first detection only
+     * - count: number of detections matching "where" (all if omitted), compared with op/value
+     * - average: average of the numeric values of "field", compared with op/value
+     * - uniqueCount: number of distinct non-empty values of "field" (a field or list of fields)
+     * Nodes can be combined with "all", "any" and "not".
+     */
+    function evaluateNode(node, detections) {
+        if (node.all) {
+            return node.all.every(n => evaluateNode(n, detections));
+        }
+        if (node.any) {
+            return node.any.some(n => evaluateNode(n, detections));
+        }
+        if (node.not) {
+            return !evaluateNode(node.not, detections);
         }
-        
-        const userAgent = (detection.environment.userAgent || detection.metadata?.userAgent || '').toLowerCase();
-        const webglRenderer = (detection.environment.webglRenderer || '').toLowerCase();
-        
-        // Find which platform keyword is in the user agent
-        let detectedPlatform = '';
-        for (const keyword of USER_AGENT_KEYWORDS) {
-            if (userAgent.includes(keyword)) {
-                detectedPlatform = keyword;
-                break;
+
+        const matchesItem = item => node.where
+            ? evaluateCondition(node.where, item)
+            : compare(item, node);
+        const items = node.where ? detections : collectValues(detections, node.field);
+
+        switch (node.aggregate) {
+            case 'all':
+                return items.length > 0 && items.every(matchesItem);
+            case 'any':
+                return items.some(matchesItem);
+            case 'none':
+                return !items.some(matchesItem);
+            case 'first':
+                return detections.length > 0 && evaluateCondition(node.where, detections[0]);
+            case 'count': {
+                const count = node.where ? detections.filter(matchesItem).length : detections.length;
+                return compare(count, node);
             }
-        }
-        
-        if (!detectedPlatform) {
-            return { result: true, message: 'No platform detected in user agent' };
-        }
-        
-        // Check if the platform keyword appears in the GPU renderer string
-        if (!webglRenderer.includes(detectedPlatform)) {
-            // Special case: 'mac' in user agent should match 'apple' in renderer
-            if (detectedPlatform === 'mac' && webglRenderer.includes('apple')) {
-                return { result: false, message: '' };
+            case 'average': {
+                const numbers = collectValues(detections, node.field).filter(value => typeof value === 'number');
+                if (numbers.length === 0) return false;
+                return compare(numbers.reduce((sum, value) => sum + value, 0) / numbers.length, node);
             }
-            // Special case: 'windows' might appear as 'direct3d' or 'nvidia/amd' without 'windows'
-            if (detectedPlatform === 'windows' && (webglRenderer.includes('direct3d') || webglRenderer.includes('nvidia') || webglRenderer.includes('amd'))) {
-                return { result: false, message: '' };
+            case 'uniqueCount': {
+                const values = collectValues(detections, node.field);
+                if (values.length === 0) return false;
+                return compare(new Set(values.map(value => JSON.stringify(value))).size, node);
             }
-            
-            return { result: true, message: 'User agent GPU mismatch' };
+            default:
+                throw new Error(`Unknown aggregate "${node.aggregate}"`);
         }
-        
-        return { result: false, message: '' };
     }
 
-    // Check for RDP based on response time
-    function rdpCheck(data) {
-        if (!data?.multiDetectionSession?.detections) {
-            return { result: false, message: 'No detection data found' };
+    // Detections of a multi-detection session, or the current session as a single detection
+    function getDetections(data) {
+        if (Array.isArray(data?.multiDetectionSession?.detections)) {
+            return data.multiDetectionSession.detections;
         }
-        
-        const latencies = [];
-        for (const value of data.multiDetectionSession.detections) {
-            if (value.location && value.location.responseTime !== null && value.location.responseTime !== undefined) {
-                latencies.push(value.location.responseTime);
+        return data?.currentSession ? [data.currentSession] : [];
+    }
+
+    // Run one rule; a rule that fails to evaluate is reported as not triggered.
+    // A rule with "cases" reports the message of the first case that triggers, and a
+    // sessionOnly rule never triggers without a multi-detection session.
+    function evaluateRule(rule, data) {
+        let triggered = null;
+        let error = null;
+        try {
+            if (!rule.sessionOnly || Array.isArray(data?.multiDetectionSession?.detections)) {
+                const detections = getDetections(data);
+                triggered = (rule.cases || [rule]).find(item => evaluateNode(item.when, detections)) || null;
             }
+        } catch (e) {
+            error = e.message;
         }
-        
-        if (latencies.length === 0) {
-            return { result: false, message: 'No latency data found' };
-        }
-        
-        const averageLatency = latencies.reduce((sum, lat) => sum + lat, 0) / latencies.length;
-        
-        if (averageLatency > 15) {
-            return { result: true, message: 'RDP detected (average response time > 15ms)' };
-        } else {
-            return { result: false, message: 'No RDP detected' };
-        }
+
+        return {
+            checkName: rule.id,
+            result: triggered !== null,
+            message: triggered ? triggered.message : '',
+            severity: rule.severity || 'warning',
+            category: rule.category || null,
+            explanation: triggered ? triggered.explanation || '' : '',
+            ...(error ? { error } : {})
+        };
     }
 
-    // All check functions
-    const checkAllFunctions = [
-        // checkIntAccuracy,
-        checkIfAllEmptyAccuracy,
-        checkIfAllLatLongEmpty,
-        checkIfDevtool,
-        // checkIfAllAccuracySame,
-        // checkIfAllLatLongSame,
-        checkVirtualMachine,
-        rdpCheck,
-        userAgentGpuMatch
-    ];
+    // Run all enabled rules
+    function runAllChecks(data, ruleSet) {
+        const rules = ((ruleSet || currentRules).rules || []).filter(rule => rule.enabled !== false);
+        const results = rules.map(rule => evaluateRule(rule, data));
+        const failed = results.filter(r => r.result);
 
-    // Run all checks
-    function runAllChecks(data) {
-        const results = [];
-        const errorMessages = [];
-        let hasAnyIssues = false;
-        
-        for (const checkFunction of checkAllFunctions) {
-            const { result, message } = checkFunction(data);
-            results.push({
-                checkName: checkFunction.name,
-                result: result,
-                message: message
-            });
-            
-            if (result) {
-                hasAnyIssues = true;
-                if (message) {
-                    errorMessages.push(message);
-                }
-            }
-        }
-        
         return {
-            hasIssues: hasAnyIssues,
+            hasIssues: failed.length > 0,
             results: results,
-            errorMessages: errorMessages,
+            errorMessages: failed.map(r => r.message).filter(Boolean),
             summary: {
-                totalChecks: checkAllFunctions.length,
-                failedChecks: results.filter(r => r.result).length,
-                passedChecks: results.filter(r => !r.result).length
+                totalChecks: rules.length,
+                failedChecks: failed.length,
+                passedChecks: results.length - failed.length
             }
         };
     }
 
+    // Replace the default rule set
+    function setRules(ruleSet) {
+        currentRules = ruleSet || { version: 0, rules: [] };
+        return currentRules;
+    }
+
+    function getRules() {
+        return currentRules;
+    }
+
+    // Browser: load the rule set the server is using
+    async function loadRules(url = '/session-rules.json') {
+        try {
+            const response = await fetch(url);
+            if (response.ok) {
+                setRules(await response.json());
+                console.log('Session rules loaded from server');
+            } else {
+                console.warn('Failed to load session rules from server');
+            }
+        } catch (error) {
+            console.error('Error loading session rules:', error);
+        }
+        return currentRules;
+    }
+
     // Export public API
     return {
         runAllChecks: runAllChecks,
-        checks: {
-            // checkIntAccuracy,
-            checkIfAllEmptyAccuracy,
-            checkIfAllLatLongEmpty,
-            checkIfDevtool,
-            // checkIfAllAccuracySame,
-            // checkIfAllLatLongSame,
-            checkVirtualMachine,
-            rdpCheck,
-            userAgentGpuMatch
-        }
+        evaluateRule: evaluateRule,
+        setRules: setRules,
+        getRules: getRules,
+        loadRules: loadRules,
+        operators: Object.keys(OPERATORS)
     };
-})(); 
\ No newline at end of file
+});
@@ -0,0 +1,236 @@
+const express = require('express');
+const net = require('net');
+const router = express.Router();
+const { requireAdminKey } = require('./auth');
+const { KEY_SCOPES, getTenant, listTenants, issueApiKey, revokeApiKey } = require('./tenants');
+const { isValidAccountId } = require('./travel');
+const { deleteSubject, getDeletionReceipt } = require('./retention');
+const { storesTruncatedIps } = require('./privacy');
+const {
+    WEBHOOK_EVENTS,
+    listSubscriptions,
+    createSubscription,
+    deleteSubscription,
+    getDeliveryLog
+} = require('./webhooks');
+const { validateRequest } = require('./validation');
+const { logger, setLogTenant } = require('./logger');
+
+router.use(requireAdminKey);
+router.use(validateRequest);
+
+// ==================== Tenant Administration API ====================
+
+// List tenants and their keys (hashes are never returned)
+router.get('/tenants', (req, res) => {
+    res.json({
+        success: true,
+        tenants: listTenants()
+    });
+});
+
+// Issue an API key for a tenant (creates the tenant if needed)
+router.post('/tenants/:tenantId/keys', (req, res) => {
+    try {
+        const { name, label, scope } = req.body || {};
+        const issued = issueApiKey(req.params.tenantId, { name, label, scope });
+
+        res.status(201).json({
+            success: true,
+            ...issued,
+            message: 'Store this key now - it cannot be retrieved again'
+        });
+    } catch (error) {
+        if (error.message === 'Invalid tenant ID') {
+            return res.status(400).json({
+                error: 'Invalid tenant ID',
+                message: 'Tenant IDs are 1-64 letters, digits, "-" or "_" and cannot be "default"'
+            });
+        }
+        if (error.message === 'Invalid key scope') {
+            return res.status(400).json({
+                error: 'Invalid key scope',
+                message: `scope must be one of: ${KEY_SCOPES.join(', ')}`
+            });
+        }
+        logger.error('Issue API key error', { error });
+        res.status(500).json({ error: 'Failed to issue API key' });
+    }
+});
+
+// Revoke an API key
+router.delete('/tenants/:tenantId/keys/:keyId', (req, res) => {
+    try {
+        const revoked = revokeApiKey(req.params.tenantId, req.params.keyId);
+
+        if (!revoked) {
+            return res.status(404).json({ error: 'API key not found' });
+        }
+
+        res.json({ success: true });
+    } catch (error) {
+        logger.error('Revoke API key error', { error });
+        res.status(500).json({ error: 'Failed to revoke API key' });
+    }
+});
+
+/**
+ * Attach the tenant named in the path as req.tenant (404 for unknown tenants)
+ */
+function resolveTenant(req, res, next) {
+    const tenant = getTenant(req.params.tenantId);
+    if (!tenant) {
+        return res.status(404).json({ error: 'Tenant not found' });
+    }
+
+    req.tenant = tenant;
+    setLogTenant(tenant.id);
+    next();
+}
+
+// ==================== Webhooks API ====================
+
+// List a tenant's webhook subscriptions
+router.get('/tenants/:tenantId/webhooks', resolveTenant, (req, res) => {
+    res.json({
+        success: true,
+        events: WEBHOOK_EVENTS,
+        subscriptions: listSubscriptions(req.tenant.id)
+    });
+});
+
+// Create a webhook subscription for a tenant (the signing secret is only returned once)
+router.post('/tenants/:tenantId/webhooks', resolveTenant, async (req, res) => {
+    try {
+        const { url, events, description } = req.body || {};
+
+        if (!url) {
+            return res.status(400).json({ error: 'Webhook URL required' });
+        }
+
+        const subscription = await createSubscription(req.tenant.id, { url, events, description });
+
+        res.status(201).json({
+            success: true,
+            subscription,
+            message: 'Store the secret now - it is used to verify X-Webhook-Signature and cannot be retrieved again'
+        });
+    } catch (error) {
+        if (error.message === 'Webhook URL not allowed') {
+            return res.status(400).json({
+                error: error.message,
+                message: 'Webhooks cannot be sent to loopback, private or link-local addresses'
+            });
+        }
+        if (error.message === 'Invalid webhook URL' || error.message === 'Invalid event type') {
+            return res.status(400).json({
+                error: error.message,
+                events: WEBHOOK_EVENTS
+            });
+        }
+        logger.error('Create webhook error', { error });
+        res.status(500).json({ error: 'Failed to create webhook' });
+    }
+});
+
+// Webhook delivery log (newest first)
+router.get('/tenants/:tenantId/webhooks/deliveries', resolveTenant, (req, res) => {
+    try {
+        const { subscriptionId, status, limit } = req.query;
+
+        res.json({
+            success: true,
+            deliveries: getDeliveryLog(req.tenant.id, { subscriptionId, status, limit })
+        });
+    } catch (error) {
+        logger.error('Webhook delivery log error', { error });
+        res.status(500).json({ error: 'Failed to get webhook deliveries' });
+    }
+});
+
+// Delete a webhook subscription
+router.delete('/tenants/:tenantId/webhooks/:id', resolveTenant, (req, res) => {
+    try {
+        if (!deleteSubscription(req.tenant.id, req.params.id)) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+
+        res.json({ success: true });
+    } catch (error) {
+        logger.error('Delete webhook error', { error });
+        res.status(500).json({ error: 'Failed to delete webhook' });
+    }
+});
+
+// ==================== Subject Deletion API ====================
+
+/**
+ * Delete a subject and respond with the deletion receipt
+ */
+async function respondWithDeletion(req, res, type, value) {
+    try {
+        const receipt = await deleteSubject(req.tenant.id, type, value, {
+            requestedBy: 'admin',
+            requestedByNote: req.get('x-author') || null
+        });
+
+        res.json({
+            success: true,
+            receipt
+        });
+    } catch (error) {
+        logger.error('Subject deletion error', { error });
+        res.status(500).json({ error: 'Failed to delete subject data' });
+    }
+}
+
+// Delete everything a tenant stored about an IP address or a device
+router.delete('/tenants/:tenantId/subjects', resolveTenant, (req, res) => {
+    const { ip, deviceId } = req.query;
+
+    if (Boolean(ip) === Boolean(deviceId)) {
+        return res.status(400).json({ error: 'Provide either ip or deviceId' });
+    }
+    if (ip && !net.isIP(ip)) {
+        return res.status(400).json({ error: 'Invalid ip' });
+    }
+    // A truncated IP names a network; deleting by it would delete other users' records
+    if (ip && storesTruncatedIps(req.tenant.id)) {
+        return res.status(400).json({
+            error: 'IP deletion unavailable',
+            message: 'This tenant stores IPs truncated to their network (privacy.ipMode); delete by account or device instead'
+        });
+    }
+
+    respondWithDeletion(req, res, ip ? 'ip' : 'device', ip || deviceId);
+});
+
+// Get a tenant's deletion receipt
+router.get('/tenants/:tenantId/subjects/receipts/:receiptId', resolveTenant, (req, res) => {
+    try {
+        const receipt = getDeletionReceipt(req.params.receiptId, req.tenant.id);
+
+        if (!receipt) {
+            return res.status(404).json({ error: 'Deletion receipt not found' });
+        }
+
+        res.json({
+            success: true,
+            receipt
+        });
+    } catch (error) {
+        logger.error('Deletion receipt error', { error });
+        res.status(500).json({ error: 'Failed to retrieve deletion receipt' });
+    }
+});
+
+// Delete everything a tenant stored about an account
+router.delete('/tenants/:tenantId/subjects/:accountId', resolveTenant, (req, res) => {
+    if (!isValidAccountId(req.params.accountId)) {
+        return res.status(400).json({ error: 'Invalid accountId' });
+    }
+
+    respondWithDeletion(req, res, 'account', req.params.accountId);
+});
+
+module.exports = router;
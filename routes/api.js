@@ -1,25 +1,130 @@
 const express = require('express');
 const router = express.Router();
 const { detectVPN, getVPNExplanation } = require('./vpn-detection');
-const { getThresholds } = require('./threshold-config');
+const { 
+    getThresholds, 
+    updateThresholds, 
+    getThresholdHistory, 
+    rollbackThresholds 
+} = require('./threshold-config');
+const { DEFAULT_TENANT_ID } = require('./tenants');
 const { 
     generateSessionFingerprint,
     fingerprintToText,
     generateEmbedding,
     initializeQdrantCollection,
     storeSessionFingerprint,
+    getSessionFingerprint,
+    getGroupSessions,
     findSimilarSessions,
-    evaluateSimilarity,
-    evaluateLite
+    findSessionNeighbours,
+    evaluateSimilarity
 } = require('./session-fingerprint');
+const { saveDetection, getDetection, queryDetections } = require('./detection-store');
+const { loadGeoIpDatabase } = require('./geoip');
+const { resolveCoordinates, compareTimezones } = require('./location-metadata');
+const { FileStore } = require('./file-store');
+const { 
+    verifyLocation, 
+    analyzeEnvironment, 
+    analyzeSessionLite, 
+    assessDetection 
+} = require('./assessment');
+const { emitWebhookEvent } = require('./webhooks');
+const { signVerdict } = require('./verdict-tokens');
+const { isValidAccountId, checkImpossibleTravel } = require('./travel');
+const { recordDeviceSession, getDeviceHistory } = require('./devices');
+const SessionRulesCheck = require('../public/session-rules-check');
+const { getRuleSet, runSessionRules } = require('./session-rules');
+const { issueChallenge, consumeChallenge, consumeChallenges, CHALLENGE_REQUIRED } = require('./challenges');
+const { startProof, completeProof, getProofResult } = require('./location-proof');
+const { validateRequest } = require('./validation');
+const { getClientIp, requireSecretKey } = require('./auth');
+const { getMonitor, listMonitors, monitorStatus } = require('./monitoring');
+const { readItems, createJob, runJob, getJob, getJobResults, BATCH_MAX_SESSIONS } = require('./batch');
+const { privacyPreferences, protectRecord, storesTruncatedIps } = require('./privacy');
+const {
+    startLiveSession,
+    getLiveSession,
+    listLiveSessions,
+    liveSessionStatus,
+    checkAcceptsDetection,
+    addLiveDetection,
+    liveDetections,
+    finishLiveSession,
+    subscribeLiveSession,
+    LIVE_HEARTBEAT_MS
+} = require('./live-sessions');
+const { logger } = require('./logger');
+const { recordVerdict } = require('./metrics');
+
+// Group summaries for /session/store-group
+const groupStore = new FileStore('session-groups');
 
 // Initialize Qdrant collection on startup
-initializeQdrantCollection().catch(console.error);
+initializeQdrantCollection().catch(error => logger.error('Qdrant initialization error', { error }));
+
+// Load the offline GeoIP database (if configured) so the first request doesn't wait for it
+loadGeoIpDatabase();
+
+// Reject requests that don't match openapi.json before they reach a handler
+router.use(validateRequest);
+
+// Stricter privacy settings asked for by the client (X-Privacy header) apply to everything the request stores
+router.use(privacyPreferences);
 
-// Middleware to log API requests
-router.use((req, res, next) => {
-    console.log(`[API] ${req.method} ${req.path} - ${new Date().toISOString()}`);
-    next();
+// ==================== Challenge API ====================
+
+// Issue a single-use nonce that must be sent back with the next location submission
+router.get('/challenge', (req, res) => {
+    res.set('Cache-Control', 'no-store');
+    res.json(issueChallenge(req.tenant.id));
+});
+
+// ==================== Assessment API ====================
+
+// Run every server-side check on a full detection payload and return one verdict
+router.post('/assess', async (req, res) => {
+    try {
+        const payload = req.body;
+        
+        if (!payload || typeof payload !== 'object' || (!payload.location && !payload.environment)) {
+            return res.status(400).json({ 
+                error: 'Detection payload required',
+                message: 'Send at least location or environment data'
+            });
+        }
+        
+        if (payload.accountId !== undefined && !isValidAccountId(payload.accountId)) {
+            return res.status(400).json({ error: 'Invalid accountId' });
+        }
+        
+        // Only location submissions answer a challenge
+        const challenge = hasCoordinates(payload.location)
+            ? checkChallenge(payload.nonce, req.tenant.id)
+            : { nonce: null };
+        if (challenge.error) {
+            return res.status(400).json(challenge.error);
+        }
+        
+        const assessment = await assessDetection(payload, {
+            clientIp: getClientIp(req),
+            userAgent: req.headers['user-agent'],
+            tenantId: req.tenant.id,
+            nonce: challenge.nonce
+        });
+        recordVerdict('assess', { status: assessment.verdict, risk: assessment.risk, flags: assessment.flags });
+        
+        res.json({
+            success: true,
+            ...assessment,
+            // Signed copy of the verdict that other backends can verify against /.well-known/jwks.json
+            token: signVerdict({ ...assessment, tenantId: req.tenant.id })
+        });
+    } catch (error) {
+        logger.error('Assessment error', { error });
+        res.status(500).json({ error: 'Failed to assess detection' });
+    }
 });
 
 // ==================== Location Verification API ====================
@@ -27,9 +132,9 @@ router.use((req, res, next) => {
 // Verify location authenticity
 router.post('/location/verify', async (req, res) => {
     try {
-        const { latitude, longitude, accuracy, timestamp } = req.body;
+        const { latitude, longitude, accuracy, timestamp, accountId, sessionId, nonce } = req.body;
         
-        console.log('[API] Location verify request:', {
+        logger.debug('Location verify request', {
             body: req.body,
             ip: req.ip,
             headers: req.headers
@@ -57,6 +162,15 @@ router.post('/location/verify', async (req, res) => {
                 error: 'Missing required location data' 
             });
         }
+        
+        if (accountId !== undefined && !isValidAccountId(accountId)) {
+            return res.status(400).json({ error: 'Invalid accountId' });
+        }
+
+        const challenge = checkChallenge(nonce, req.tenant.id);
+        if (challenge.error) {
+            return res.status(400).json(challenge.error);
+        }
 
         // Perform location verification checks
         const verificationResult = await verifyLocation({
@@ -65,39 +179,101 @@ router.post('/location/verify', async (req, res) => {
             accuracy,
             timestamp,
             clientIp: getClientIp(req),
-            userAgent: req.headers['user-agent']
+            tenantId: req.tenant.id,
+            userAgent: req.headers['user-agent'],
+            accountId,
+            sessionId,
+            nonce: challenge.nonce
         });
+        recordVerdict('location_verify', verificationResult);
 
         res.json(verificationResult);
     } catch (error) {
-        console.error('Location verification error:', error);
+        logger.error('Location verification error', { error });
         res.status(500).json({ error: 'Failed to verify location' });
     }
 });
 
+// Start a multi-sample proof of location: the server picks how many readings to take and when
+router.post('/location/proof', (req, res) => {
+    res.set('Cache-Control', 'no-store');
+    res.json(startProof(req.tenant.id));
+});
+
+// Send the readings taken for a proof and get the server's analysis of them
+router.post('/location/proof/:proofId', (req, res) => {
+    try {
+        const { samples, accountId } = req.body;
+        
+        if (accountId !== undefined && !isValidAccountId(accountId)) {
+            return res.status(400).json({ error: 'Invalid accountId' });
+        }
+        
+        const result = completeProof(req.params.proofId, samples, {
+            tenantId: req.tenant.id,
+            accountId
+        });
+        
+        if (result.error) {
+            return res.status(result.reason === 'unknown' ? 404 : 400).json(result);
+        }
+        recordVerdict('location_proof', result);
+        
+        res.json(result);
+    } catch (error) {
+        logger.error('Location proof error', { error });
+        res.status(500).json({ error: 'Failed to analyze location proof' });
+    }
+});
+
+// Get the result of a completed proof
+router.get('/location/proof/:proofId', (req, res) => {
+    const result = getProofResult(req.params.proofId, req.tenant.id);
+    
+    if (!result) {
+        return res.status(404).json({ error: 'Proof not found' });
+    }
+    
+    res.json(result);
+});
+
 // Get location metadata
 router.get('/location/metadata', async (req, res) => {
     try {
-        const { lat, lon } = req.query;
+        const { lat, lon, timezone } = req.query;
         
         if (!lat || !lon) {
             return res.status(400).json({ 
                 error: 'Missing latitude or longitude' 
             });
         }
+        
+        const latitude = parseFloat(lat);
+        const longitude = parseFloat(lon);
+        if (isNaN(latitude) || isNaN(longitude) || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+            return res.status(400).json({ 
+                error: 'Invalid latitude or longitude' 
+            });
+        }
 
-        // In a real implementation, this would query a geolocation database
+        // Resolve against bundled offline boundary data
+        const resolved = resolveCoordinates(latitude, longitude);
+        const timezoneCheck = compareTimezones(timezone, resolved);
+        
         const metadata = {
-            coordinates: { latitude: parseFloat(lat), longitude: parseFloat(lon) },
-            timezone: getTimezoneFromCoordinates(lat, lon),
-            country: 'Unknown', // Would be determined by reverse geocoding
-            region: 'Unknown',
+            coordinates: { latitude, longitude },
+            timezone: resolved.timezone,
+            country: resolved.country,
+            countryName: resolved.countryName,
+            region: resolved.region,
+            timezoneCheck,
+            flags: timezoneCheck.flags,
             vpnProbability: calculateVPNProbability(req)
         };
 
         res.json(metadata);
     } catch (error) {
-        console.error('Metadata error:', error);
+        logger.error('Metadata error', { error });
         res.status(500).json({ error: 'Failed to get location metadata' });
     }
 });
@@ -106,72 +282,12 @@ router.get('/location/metadata', async (req, res) => {
 
 // Analyze client environment
 router.post('/environment/analyze', async (req, res) => {
-    const { 
-        screenResolution, 
-        colorDepth, 
-        touchSupport, 
-        webglRenderer,
-        timezone,
-        language,
-        platform
-    } = req.body;
-
-    const flags = [];
-    let score = 100;
-    
-    const thresholds = getThresholds();
-
-    // Check for virtual machine indicators
-    if (webglRenderer) {
-        const renderer = webglRenderer.toLowerCase();
-        if (renderer.includes('vmware') || renderer.includes('virtualbox')) {
-            flags.push({ type: 'fail', message: 'Virtual machine detected' });
-            score -= 50;
-        }
-    }
-
-    // Check for RDP indicators
-    if (colorDepth < thresholds.environment.colorDepth.rdpIndicator) {
-        flags.push({ type: 'warning', message: 'Low color depth (possible RDP)' });
-        score -= 25;
-    }
-
-    // Check for unusual resolutions
-    const commonResolutions = [
-        '1920x1080', '1366x768', '1440x900', '1536x864', '1280x720',
-        '2560x1440', '3840x2160', '1680x1050', '1600x900', '1280x800'
-    ];
-    
-    const resString = `${screenResolution.width}x${screenResolution.height}`;
-    if (!commonResolutions.includes(resString)) {
-        flags.push({ type: 'warning', message: 'Unusual screen resolution' });
-        score -= 15;
-    }
-
-    // Determine environment type
-    let environmentType = 'local_desktop';
-    if (score < thresholds.environment.score.likelyRemote) {
-        environmentType = 'remote_desktop';
-    } else if (score < thresholds.environment.score.possiblyRemote) {
-        environmentType = 'possibly_remote';
+    try {
+        res.json(analyzeEnvironment(req.body, req.tenant.id));
+    } catch (error) {
+        logger.error('Environment analysis error', { error });
+        res.status(500).json({ error: 'Failed to analyze environment' });
     }
-
-    const analysis = {
-        environmentType,
-        score,
-        flags,
-        details: {
-            screenResolution,
-            colorDepth,
-            touchSupport,
-            webglRenderer,
-            platform,
-            timezone,
-            language
-        }
-    };
-
-    res.json(analysis);
 });
 
 // ==================== Detection History API ====================
@@ -181,25 +297,76 @@ router.post('/detection/store', async (req, res) => {
     try {
         const { sessionId, results } = req.body;
         
-        // In a real implementation, this would store in a database
         const stored = {
             id: generateId(),
             sessionId,
             results,
+            status: results?.verificationStatus || null,
             timestamp: new Date().toISOString(),
-            clientIp: getClientIp(req)
+            clientIp: getClientIp(req),
+            tenantId: req.tenant.id
         };
 
+        saveDetection(stored);
+
         res.json({ 
             success: true, 
             detectionId: stored.id 
         });
     } catch (error) {
-        console.error('Store detection error:', error);
+        logger.error('Store detection error', { error });
         res.status(500).json({ error: 'Failed to store detection results' });
     }
 });
 
+// Get a stored detection by ID
+router.get('/detection/:id', requireSecretKey, (req, res) => {
+    try {
+        const detection = getDetection(req.params.id, req.tenant.id);
+        
+        if (!detection) {
+            return res.status(404).json({ error: 'Detection not found' });
+        }
+        
+        res.json(detection);
+    } catch (error) {
+        logger.error('Get detection error', { error });
+        res.status(500).json({ error: 'Failed to get detection' });
+    }
+});
+
+// Query stored detections
+router.get('/detections', requireSecretKey, (req, res) => {
+    try {
+        const { sessionId, clientIp, status, from, to, limit, offset } = req.query;
+        
+        if ((from && isNaN(Date.parse(from))) || (to && isNaN(Date.parse(to)))) {
+            return res.status(400).json({ 
+                error: 'Invalid time range',
+                message: 'from and to must be ISO 8601 timestamps'
+            });
+        }
+        
+        // A truncated IP names a network; filtering on it would return other users' detections
+        if (clientIp && storesTruncatedIps(req.tenant.id)) {
+            return res.status(400).json({
+                error: 'IP lookup unavailable',
+                message: 'This tenant stores IPs truncated to their network (privacy.ipMode), so detections cannot be found by IP'
+            });
+        }
+        
+        const result = queryDetections({ sessionId, clientIp, status, from, to, limit, offset }, req.tenant.id);
+        
+        res.json({
+            success: true,
+            ...result
+        });
+    } catch (error) {
+        logger.error('Query detections error', { error });
+        res.status(500).json({ error: 'Failed to query detections' });
+    }
+});
+
 // ==================== VPN Detection API ====================
 
 // Check IP for VPN/Proxy
@@ -213,7 +380,7 @@ router.get('/vpn/check/:ip?', async (req, res) => {
             });
         }
         
-        const vpnResults = await detectVPN(ip);
+        const vpnResults = await detectVPN(ip, req.tenant.id);
         const explanation = getVPNExplanation(vpnResults);
         
         res.json({
@@ -224,7 +391,7 @@ router.get('/vpn/check/:ip?', async (req, res) => {
             details: vpnResults.details
         });
     } catch (error) {
-        console.error('VPN check error:', error);
+        logger.error('VPN check error', { error });
         res.status(500).json({ error: 'Failed to check VPN status' });
     }
 });
@@ -234,19 +401,44 @@ router.get('/vpn/check/:ip?', async (req, res) => {
 // Store detection session for pattern analysis
 router.post('/session/store', async (req, res) => {
     try {
+        const { accountId } = req.body;
+        if (accountId !== undefined && !isValidAccountId(accountId)) {
+            return res.status(400).json({ error: 'Invalid accountId' });
+        }
+        
+        // Stored coordinates answer a challenge like any other location submission
+        const challenge = hasCoordinates(req.body.location)
+            ? checkChallenge(req.body.location.nonce, req.tenant.id)
+            : { nonce: null };
+        if (challenge.error) {
+            return res.status(400).json(challenge.error);
+        }
+        
         const detectionData = {
+            accountId,
             location: req.body.location,
             environment: req.body.environment,
             network: req.body.network,
             timestamp: req.body.timestamp,
             userAgent: req.headers['user-agent'],
             clientIp: getClientIp(req),
+            tenantId: req.tenant.id,
             detectionResults: req.body.detectionResults
         };
         
         // Generate fingerprint
         const fingerprint = generateSessionFingerprint(detectionData);
         
+        // Compare with the account's previous location
+        fingerprint.travel = checkImpossibleTravel({
+            accountId,
+            sessionId: fingerprint.sessionId,
+            ...fingerprint.location.coordinates,
+            accuracy: fingerprint.location.accuracy,
+            timestamp: fingerprint.timestamp,
+            tenantId: req.tenant.id
+        });
+        
         // Convert to text for embedding
         const fingerprintText = fingerprintToText(fingerprint);
         
@@ -256,13 +448,21 @@ router.post('/session/store', async (req, res) => {
         // Store in Qdrant
         const sessionId = await storeSessionFingerprint(fingerprint, embedding);
         
+        recordDeviceSession({
+            ...fingerprint.device,
+            sessionId,
+            accountId,
+            tenantId: req.tenant.id
+        });
+        
         res.json({
             success: true,
             sessionId: sessionId,
-            fingerprint: fingerprint
+            fingerprint: fingerprint,
+            travel: fingerprint.travel
         });
     } catch (error) {
-        console.error('Session store error:', error);
+        logger.error('Session store error', { error });
         res.status(500).json({ error: 'Failed to store session fingerprint' });
     }
 });
@@ -283,6 +483,7 @@ router.post('/session/similar', async (req, res) => {
                 timestamp: sessionData.timestamp,
                 userAgent: req.headers['user-agent'],
                 clientIp: getClientIp(req),
+                tenantId: req.tenant.id,
                 detectionResults: sessionData.detectionResults
             };
             
@@ -294,14 +495,14 @@ router.post('/session/similar', async (req, res) => {
         }
         
         // Find similar sessions
-        const similarSessions = await findSimilarSessions(embedding, limit);
+        const similarSessions = await findSimilarSessions(embedding, limit, req.tenant.id);
         
         res.json({
             success: true,
             similarSessions: similarSessions
         });
     } catch (error) {
-        console.error('Similar sessions error:', error);
+        logger.error('Similar sessions error', { error });
         res.status(500).json({ error: 'Failed to find similar sessions' });
     }
 });
@@ -326,25 +527,37 @@ router.post('/session/evaluate', async (req, res) => {
                 timestamp: currentSession.timestamp,
                 userAgent: req.headers['user-agent'],
                 clientIp: getClientIp(req),
+                tenantId: req.tenant.id,
                 detectionResults: currentSession.detectionResults
             };
             
             const fingerprint = generateSessionFingerprint(detectionData);
             const fingerprintText = fingerprintToText(fingerprint);
             const embedding = await generateEmbedding(fingerprintText);
-            sessions = await findSimilarSessions(embedding, 5);
+            sessions = await findSimilarSessions(embedding, 5, req.tenant.id);
         }
         
         // Evaluate with LLM
         const evaluation = await evaluateSimilarity(currentSession, sessions);
         
+        if (String(evaluation.riskAssessment).toUpperCase() === 'HIGH') {
+            emitWebhookEvent(req.tenant.id, 'session.high_risk', {
+                sessionId: currentSession.sessionId || null,
+                source: 'llm',
+                riskAssessment: 'HIGH',
+                confidence: evaluation.confidence,
+                explanation: evaluation.explanation,
+                patterns: evaluation.patterns
+            });
+        }
+        
         res.json({
             success: true,
             evaluation: evaluation,
             similarSessionsCount: sessions.length
         });
     } catch (error) {
-        console.error('Evaluation error:', error);
+        logger.error('Evaluation error', { error });
         res.status(500).json({ error: 'Failed to evaluate session' });
     }
 });
@@ -358,27 +571,34 @@ router.post('/session/analyze-lite', async (req, res) => {
             return res.status(400).json({ error: 'Session data required' });
         }
         
+        if (sessionData.accountId !== undefined && !isValidAccountId(sessionData.accountId)) {
+            return res.status(400).json({ error: 'Invalid accountId' });
+        }
+        
+        // Coordinates feed the velocity counters, so they answer a challenge too
+        const challenge = hasCoordinates(sessionData.location)
+            ? checkChallenge(sessionData.location.nonce, req.tenant.id)
+            : { nonce: null };
+        if (challenge.error) {
+            return res.status(400).json(challenge.error);
+        }
+        
         // Generate detection data
         const detectionData = {
+            sessionId: sessionData.sessionId,
+            accountId: sessionData.accountId,
             location: sessionData.location,
             environment: sessionData.environment,
             network: sessionData.network,
             timestamp: sessionData.timestamp,
             userAgent: req.headers['user-agent'],
             clientIp: getClientIp(req),
+            tenantId: req.tenant.id,
             detectionResults: sessionData.detectionResults
         };
         
-        // Generate fingerprint and embedding
-        const fingerprint = generateSessionFingerprint(detectionData);
-        const fingerprintText = fingerprintToText(fingerprint);
-        const embedding = await generateEmbedding(fingerprintText);
-        
-        // Find similar sessions (limit to 3 for speed)
-        const similarSessions = await findSimilarSessions(embedding, 3);
-        
-        // Perform lite evaluation
-        const liteEvaluation = await evaluateLite(fingerprint, similarSessions);
+        // Fingerprint, find similar sessions (limit to 3 for speed) and evaluate
+        const { fingerprint, evaluation: liteEvaluation, similarSessions } = await analyzeSessionLite(detectionData);
         
         res.json({
             success: true,
@@ -391,24 +611,32 @@ router.post('/session/analyze-lite', async (req, res) => {
             }))
         });
     } catch (error) {
-        console.error('Lite analysis error:', error);
+        logger.error('Lite analysis error', { error });
         res.status(500).json({ error: 'Failed to perform lite analysis' });
     }
 });
 
 // Get session analysis summary
-router.get('/session/analysis/:sessionId', async (req, res) => {
+router.get('/session/analysis/:sessionId', requireSecretKey, async (req, res) => {
     try {
         const { sessionId } = req.params;
         
-        // This would retrieve the session from Qdrant by ID
-        // For now, return a placeholder
+        const point = await getSessionFingerprint(sessionId, req.tenant.id);
+        if (!point) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+        
+        const neighbours = await findSessionNeighbours(point, 5, req.tenant.id);
+        
         res.json({
             success: true,
-            message: 'Session analysis endpoint - implement Qdrant retrieval by ID'
+            sessionId,
+            fingerprint: point.payload,
+            summary: point.payload?.summary || null,
+            similarSessions: formatNeighbours(neighbours)
         });
     } catch (error) {
-        console.error('Analysis error:', error);
+        logger.error('Analysis error', { error });
         res.status(500).json({ error: 'Failed to get session analysis' });
     }
 });
@@ -422,6 +650,19 @@ router.post('/session/store-group', async (req, res) => {
             return res.status(400).json({ error: 'Sessions array is required' });
         }
         
+        // Every located session must answer its own challenge; none is used unless all are valid
+        const submissions = [];
+        sessions.forEach((session, index) => {
+            if (hasCoordinates(session.location)) {
+                submissions.push({ index, nonce: session.location.nonce });
+            }
+        });
+        
+        const challenge = checkChallenges(submissions, req.tenant.id);
+        if (challenge.error) {
+            return res.status(400).json({ ...challenge.error, sessionIndex: challenge.index });
+        }
+        
         // Generate group session ID if not provided
         const groupId = groupSessionId || generateId();
         
@@ -445,6 +686,7 @@ router.post('/session/store-group', async (req, res) => {
                 timestamp: session.timestamp,
                 userAgent: req.headers['user-agent'],
                 clientIp: getClientIp(req),
+                tenantId: req.tenant.id,
                 detectionResults: {
                     locationScore: session.scores?.location || 0,
                     environmentScore: session.scores?.environment || 0,
@@ -453,8 +695,12 @@ router.post('/session/store-group', async (req, res) => {
                 }
             };
             
-            const fingerprint = generateSessionFingerprint(detectionData);
-            enrichedSession.fingerprint = session.fingerprint || fingerprint;
+            const fingerprint = {
+                ...generateSessionFingerprint(detectionData),
+                groupSessionId: groupId,
+                groupIndex: enrichedSession.groupIndex
+            };
+            enrichedSession.fingerprint = fingerprint;
             
             // Generate embedding
             const fingerprintText = fingerprintToText(fingerprint);
@@ -483,11 +729,11 @@ router.post('/session/store-group', async (req, res) => {
             metadata: metadata || {},
             analysis: analyzeGroupedSessions(sessions),
             clientIp: getClientIp(req),
+            tenantId: req.tenant.id,
             userAgent: req.headers['user-agent']
         };
         
-        // Store group summary (in a real app, this would go to a database)
-        // For now, we'll include it in the response
+        groupStore.append(protectRecord(groupSummary, req.tenant.id));
         
         res.json({
             success: true,
@@ -497,7 +743,7 @@ router.post('/session/store-group', async (req, res) => {
             groupSummary
         });
     } catch (error) {
-        console.error('Group session store error:', error);
+        logger.error('Group session store error', { error });
         res.status(500).json({ error: 'Failed to store grouped sessions' });
     }
 });
@@ -505,30 +751,77 @@ router.post('/session/store-group', async (req, res) => {
 // Store session with multiple detections as array
 router.post('/session/store-multi', async (req, res) => {
     try {
-        const { sessionId, startTime, endTime, detections, metadata, summary } = req.body;
+        const { sessionId, accountId, startTime, endTime, detections, metadata, summary, proofId } = req.body;
         
         if (!detections || !Array.isArray(detections) || detections.length === 0) {
             return res.status(400).json({ error: 'Detections array is required' });
         }
         
+        if (accountId !== undefined && !isValidAccountId(accountId)) {
+            return res.status(400).json({ error: 'Invalid accountId' });
+        }
+        
+        // Detections already pushed to a live session answered their challenge there
+        const liveSession = sessionId ? getLiveSession(sessionId, req.tenant.id) : null;
+        
+        // The server's own result of the session's proof of location, if one was run
+        const proofOfLocation = proofId ? getProofResult(proofId, req.tenant.id) : null;
+        if (proofId && !proofOfLocation) {
+            return res.status(400).json({ error: 'Unknown proofId' });
+        }
+        
+        // Every located detection must answer its own challenge; none is used unless all are valid
+        const nonces = detections.map(() => null);
+        const submissions = [];
+        detections.forEach((detection, index) => {
+            const location = detection.location;
+            if (!hasCoordinates(location)) return;
+            
+            if (liveSession?.nonces.has(location.nonce)) {
+                nonces[index] = location.nonce;
+            } else {
+                submissions.push({ index, nonce: location.nonce });
+            }
+        });
+        
+        const challenge = checkChallenges(submissions, req.tenant.id);
+        if (challenge.error) {
+            return res.status(400).json({ ...challenge.error, detectionIndex: challenge.index });
+        }
+        challenge.nonces.forEach((nonce, index) => {
+            nonces[index] = nonce;
+        });
+        
         // Use provided sessionId or generate new one
         const finalSessionId = sessionId || generateId();
         
+        // Re-run the session rules server-side rather than trusting the client's results
+        const { ruleCheckResults: clientResults, ...sessionData } = req.body;
+        const ruleChecks = runSessionRules(sessionData);
+        const clientRulesMatch = clientResults
+            ? JSON.stringify(clientResults.results) === JSON.stringify(ruleChecks.results)
+            : null;
+        
         // Process each detection
         const processedDetections = [];
         const embeddings = [];
+        let travel = (liveSession?.detections || [])
+            .reduce((fastest, entry) => fastestTravel(fastest, entry.assessment.categories.location.travel), null);
+        let device = null;
         
         for (let i = 0; i < detections.length; i++) {
             const detection = detections[i];
             
             // Generate fingerprint for each detection
             const detectionData = {
+                accountId,
                 location: detection.location,
                 environment: detection.environment,
                 network: detection.network,
                 timestamp: detection.timestamp || detection.detectionTimestamp,
                 userAgent: req.headers['user-agent'],
                 clientIp: getClientIp(req),
+                tenantId: req.tenant.id,
                 detectionResults: {
                     locationScore: detection.scores?.location || 0,
                     environmentScore: detection.scores?.environment || 0,
@@ -539,6 +832,24 @@ router.post('/session/store-multi', async (req, res) => {
             
             const fingerprint = generateSessionFingerprint(detectionData);
             
+            // The session's device is the first one identified among its detections
+            if (!device && fingerprint.deviceId) {
+                device = fingerprint.device;
+            }
+            
+            // Each located detection is compared with the account's previous location
+            // (a live session's detections were compared and recorded as they were assessed)
+            if (!liveSession?.detections.length) {
+                travel = fastestTravel(travel, checkImpossibleTravel({
+                    accountId,
+                    sessionId: finalSessionId,
+                    ...fingerprint.location.coordinates,
+                    accuracy: fingerprint.location.accuracy,
+                    timestamp: fingerprint.timestamp,
+                    tenantId: req.tenant.id
+                }));
+            }
+            
             // Generate embedding
             const fingerprintText = fingerprintToText(fingerprint);
             const embedding = await generateEmbedding(fingerprintText);
@@ -555,14 +866,22 @@ router.post('/session/store-multi', async (req, res) => {
         // Store complete session in Qdrant with aggregated fingerprint
         const sessionFingerprint = {
             sessionId: finalSessionId,
+            tenantId: req.tenant.id,
+            accountId: accountId || null,
+            deviceId: device?.deviceId || null,
             startTime: startTime || detections[0]?.timestamp,
             endTime: endTime || detections[detections.length - 1]?.timestamp,
             detectionCount: detections.length,
             metadata: metadata || {},
             summary: summary || analyzeGroupedSessions(detections),
+            ruleChecks,
+            clientRulesMatch,
+            travel,
+            proofOfLocation,
             detections: processedDetections.map(d => ({
                 index: d.detectionIndex,
                 timestamp: d.timestamp || d.detectionTimestamp,
+                nonce: nonces[d.detectionIndex],
                 scores: d.scores,
                 fingerprint: d.fingerprint
             }))
@@ -577,56 +896,131 @@ router.post('/session/store-multi', async (req, res) => {
         // Store in Qdrant
         const storedId = await storeSessionFingerprint(sessionFingerprint, sessionEmbedding);
         
+        // A live session's detections recorded the device as they were assessed
+        if (device && !liveSession?.detections.length) {
+            recordDeviceSession({
+                ...device,
+                sessionId: finalSessionId,
+                accountId,
+                tenantId: req.tenant.id
+            });
+        }
+        
+        if (liveSession) {
+            finishLiveSession(liveSession);
+        }
+        
         res.json({
             success: true,
             sessionId: finalSessionId,
+            deviceId: sessionFingerprint.deviceId,
             storedId: storedId,
             detectionCount: detections.length,
-            summary: sessionFingerprint.summary
+            summary: sessionFingerprint.summary,
+            ruleChecks,
+            clientRulesMatch,
+            travel,
+            proofOfLocation
         });
     } catch (error) {
-        console.error('Multi-detection session store error:', error);
+        logger.error('Multi-detection session store error', { error });
         res.status(500).json({ error: 'Failed to store multi-detection session' });
     }
 });
 
+// Run the session rules (session-rules.json) on the server.
+// The body is the session object the browser passes to SessionRulesCheck.runAllChecks,
+// or the full { multiDetectionSession, currentSession } argument.
+router.post('/session/rules', (req, res) => {
+    try {
+        const body = req.body;
+        
+        if (!body || typeof body !== 'object' || Array.isArray(body)) {
+            return res.status(400).json({ error: 'Session data required' });
+        }
+        
+        const ruleChecks = body.multiDetectionSession || body.currentSession
+            ? SessionRulesCheck.runAllChecks(body, getRuleSet())
+            : runSessionRules(body);
+        
+        res.json({
+            success: true,
+            ...ruleChecks
+        });
+    } catch (error) {
+        logger.error('Session rules error', { error });
+        res.status(500).json({ error: 'Failed to run session rules' });
+    }
+});
+
+// Current session rules document (reloaded automatically when the rules file changes)
+router.get('/session/rules', (req, res) => {
+    res.json(getRuleSet());
+});
+
 // Retrieve session with multiple detections
-router.get('/session/multi/:sessionId', async (req, res) => {
+router.get('/session/multi/:sessionId', requireSecretKey, async (req, res) => {
     try {
         const { sessionId } = req.params;
         
-        // In a real implementation, this would:
-        // 1. Retrieve session from Qdrant by sessionId
-        // 2. Return the complete session with all detections
+        const point = await getSessionFingerprint(sessionId, req.tenant.id);
+        if (!point || !Array.isArray(point.payload?.detections)) {
+            return res.status(404).json({ error: 'Multi-detection session not found' });
+        }
+        
+        const neighbours = await findSessionNeighbours(point, 5, req.tenant.id);
+        const session = point.payload;
         
         res.json({
             success: true,
             sessionId,
-            message: 'Multi-detection session retrieval - implement Qdrant retrieval'
+            startTime: session.startTime,
+            endTime: session.endTime,
+            detectionCount: session.detectionCount,
+            detections: session.detections,
+            summary: session.summary || null,
+            metadata: session.metadata || {},
+            similarSessions: formatNeighbours(neighbours)
         });
     } catch (error) {
-        console.error('Session retrieval error:', error);
+        logger.error('Session retrieval error', { error });
         res.status(500).json({ error: 'Failed to retrieve session' });
     }
 });
 
 // Retrieve grouped sessions
-router.get('/session/group/:groupSessionId', async (req, res) => {
+router.get('/session/group/:groupSessionId', requireSecretKey, async (req, res) => {
     try {
         const { groupSessionId } = req.params;
         
-        // In a real implementation, this would:
-        // 1. Retrieve group metadata from database
-        // 2. Fetch all sessions belonging to this group from Qdrant
-        // 3. Return the complete group data
+        const groupSummary = groupStore.find(g => 
+            g.groupSessionId === groupSessionId && (g.tenantId || DEFAULT_TENANT_ID) === req.tenant.id
+        );
+        const members = await getGroupSessions(groupSessionId, req.tenant.id);
+        
+        if (!groupSummary && members.length === 0) {
+            return res.status(404).json({ error: 'Group not found' });
+        }
+        
+        const sessions = await Promise.all(members.map(async member => ({
+            sessionId: member.payload?.sessionId,
+            groupIndex: member.payload?.groupIndex,
+            fingerprint: member.payload,
+            summary: member.payload?.summary || null,
+            similarSessions: formatNeighbours(await findSessionNeighbours(member, 3, req.tenant.id))
+        })));
         
         res.json({
             success: true,
             groupSessionId,
-            message: 'Group retrieval endpoint - implement database/Qdrant retrieval'
+            sessionCount: sessions.length,
+            sessions,
+            metadata: groupSummary?.metadata || {},
+            analysis: groupSummary?.analysis || null,
+            timestamp: groupSummary?.timestamp || null
         });
     } catch (error) {
-        console.error('Group retrieval error:', error);
+        logger.error('Group retrieval error', { error });
         res.status(500).json({ error: 'Failed to retrieve grouped sessions' });
     }
 });
@@ -731,6 +1125,23 @@ function analyzeGroupedSessions(sessions) {
     return analysis;
 }
 
+// The faster of two travel checks; a null speed means no time elapsed, i.e. infinitely fast
+function fastestTravel(fastest, travel) {
+    if (!travel?.available) return fastest;
+    const speed = check => check.speedKmh === null ? Infinity : check.speedKmh;
+    return !fastest || speed(travel) > speed(fastest) ? travel : fastest;
+}
+
+// Reduce similarity search results to what callers need
+function formatNeighbours(neighbours) {
+    return neighbours.map(s => ({
+        sessionId: s.payload?.sessionId,
+        score: s.score,
+        risk: s.payload?.summary?.overallRisk,
+        indicators: s.payload?.summary?.spoofingIndicators
+    }));
+}
+
 // Helper function to calculate variance
 function calculateVariance(numbers) {
     if (numbers.length === 0) return 0;
@@ -739,128 +1150,298 @@ function calculateVariance(numbers) {
     return squaredDiffs.reduce((a, b) => a + b, 0) / numbers.length;
 }
 
-// ==================== Utility Functions ====================
+// ==================== Live Sessions API ====================
+
+// Start a live session: the browser pushes each detection as it completes and observers
+// follow the running verdict on /session/live/:sessionId/events
+router.post('/session/live', (req, res) => {
+    try {
+        const { accountId, metadata, plannedDetections } = req.body || {};
+        
+        if (accountId !== undefined && !isValidAccountId(accountId)) {
+            return res.status(400).json({ error: 'Invalid accountId' });
+        }
+        
+        const session = startLiveSession({ tenantId: req.tenant.id, accountId, metadata, plannedDetections });
+        
+        res.status(201).json({
+            success: true,
+            ...liveSessionStatus(session),
+            eventsUrl: `/api/session/live/${session.sessionId}/events`
+        });
+    } catch (error) {
+        logger.error('Live session start error', { error });
+        res.status(500).json({ error: 'Failed to start live session' });
+    }
+});
+
+// Open live sessions, e.g. to find the session of the customer on the phone by accountId
+router.get('/session/live', requireSecretKey, (req, res) => {
+    res.json({
+        success: true,
+        sessions: listLiveSessions(req.tenant.id, { accountId: req.query.accountId })
+    });
+});
+
+// Current state of a live session
+router.get('/session/live/:sessionId', (req, res) => {
+    const session = getLiveSession(req.params.sessionId, req.tenant.id);
+    if (!session) {
+        return res.status(404).json({ error: 'Live session not found' });
+    }
+    
+    res.json({ success: true, ...liveSessionStatus(session) });
+});
+
+// Push one completed detection: it is assessed like /assess, the session rules and the
+// consistency analysis are re-run over the detections so far, and observers get the update
+router.post('/session/live/:sessionId/detections', async (req, res) => {
+    try {
+        const session = getLiveSession(req.params.sessionId, req.tenant.id);
+        if (!session) {
+            return res.status(404).json({ error: 'Live session not found' });
+        }
+        
+        const rejection = checkAcceptsDetection(session);
+        if (rejection) {
+            return res.status(rejection.status).json({ error: rejection.error });
+        }
+        
+        const detection = req.body;
+        if (!detection || typeof detection !== 'object' || (!detection.location && !detection.environment)) {
+            return res.status(400).json({ 
+                error: 'Detection payload required',
+                message: 'Send at least location or environment data'
+            });
+        }
+        
+        const challenge = hasCoordinates(detection.location)
+            ? checkChallenge(detection.location.nonce, req.tenant.id)
+            : { nonce: null };
+        if (challenge.error) {
+            return res.status(400).json(challenge.error);
+        }
+        
+        const assessment = await assessDetection({
+            sessionId: session.sessionId,
+            accountId: session.accountId || undefined,
+            location: detection.location,
+            environment: detection.environment,
+            network: detection.network,
+            timestamp: detection.timestamp || detection.detectionTimestamp,
+            detectionResults: {
+                locationScore: detection.scores?.location || 0,
+                environmentScore: detection.scores?.environment || 0,
+                locationFlags: detection.locationFlags || [],
+                environmentFlags: detection.environmentFlags || []
+            }
+        }, {
+            clientIp: getClientIp(req),
+            userAgent: req.headers['user-agent'],
+            tenantId: req.tenant.id,
+            nonce: challenge.nonce
+        });
+        recordVerdict('live_session', { status: assessment.verdict, risk: assessment.risk, flags: assessment.flags });
+        
+        // The session may have been completed or expired while the detection was assessed
+        const closed = checkAcceptsDetection(session);
+        if (closed) {
+            return res.status(closed.status).json({ error: closed.error });
+        }
+        
+        const detections = [...liveDetections(session), detection];
+        const update = addLiveDetection(session, {
+            detection,
+            clientIp: getClientIp(req),
+            nonce: challenge.nonce,
+            assessment,
+            ruleChecks: runSessionRules({ sessionId: session.sessionId, accountId: session.accountId, detections }),
+            analysis: analyzeGroupedSessions(detections)
+        });
+        
+        res.json({ success: true, ...update });
+    } catch (error) {
+        logger.error('Live session detection error', { error });
+        res.status(500).json({ error: 'Failed to add detection to live session' });
+    }
+});
 
-function getClientIp(req) {
-    // Try various headers that might contain the real IP
-    const forwarded = req.headers['x-forwarded-for'];
-    if (forwarded) {
-        return forwarded.split(',')[0].trim();
+// Mark a live session as finished (storing it through /session/store-multi also does)
+router.post('/session/live/:sessionId/complete', (req, res) => {
+    const session = getLiveSession(req.params.sessionId, req.tenant.id);
+    if (!session) {
+        return res.status(404).json({ error: 'Live session not found' });
     }
     
-    if (req.headers['x-real-ip']) {
-        return req.headers['x-real-ip'];
+    res.json({ success: true, ...finishLiveSession(session) });
+});
+
+// Server-sent events for a live session: a "snapshot" of the current state, a "detection"
+// event for each pushed detection, then "complete" or "expired" before the stream ends
+router.get('/session/live/:sessionId/events', (req, res) => {
+    const session = getLiveSession(req.params.sessionId, req.tenant.id);
+    if (!session) {
+        return res.status(404).json({ error: 'Live session not found' });
     }
     
-    if (req.connection && req.connection.remoteAddress) {
-        return req.connection.remoteAddress;
+    // no-transform also stops compression() from buffering the stream
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    const finalEvent = status => status === 'completed' ? 'complete' : 'expired';
+    
+    send('snapshot', liveSessionStatus(session));
+    if (session.status !== 'open') {
+        send(finalEvent(session.status), liveSessionStatus(session));
+        return res.end();
     }
     
-    return req.ip || 'unknown';
-}
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), LIVE_HEARTBEAT_MS);
+    const unsubscribe = subscribeLiveSession(session, (event, data) => {
+        send(event, data);
+        if (event !== 'detection') {
+            res.end();
+        }
+    });
+    
+    res.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
+});
 
-async function verifyLocation(data) {
-    const { latitude, longitude, accuracy, timestamp, clientIp, userAgent } = data;
-    const flags = [];
-    let score = 100;
+// ==================== Monitoring API ====================
 
-    // Check for null island
-    if (latitude === 0 && longitude === 0) {
-        flags.push({ type: 'critical', message: 'Null Island coordinates detected' });
-        score -= 50;
-    }
+// Monitors of continuously checked clients (WebSocket at /api/monitor), e.g. the proctored
+// candidate's monitor by accountId
+router.get('/monitor', requireSecretKey, (req, res) => {
+    res.json({
+        success: true,
+        monitors: listMonitors(req.tenant.id, { accountId: req.query.accountId })
+    });
+});
 
-    // Check for overly round coordinates
-    if (Number.isInteger(latitude) && Number.isInteger(longitude)) {
-        flags.push({ type: 'warning', message: 'Suspiciously round coordinates' });
-        score -= 20;
+// Rolling risk of one monitor
+router.get('/monitor/:monitorId', (req, res) => {
+    const monitor = getMonitor(req.params.monitorId, req.tenant.id);
+    if (!monitor) {
+        return res.status(404).json({ error: 'Monitor not found' });
     }
+    
+    res.json({ success: true, ...monitorStatus(monitor) });
+});
 
-    // Check for suspicious patterns
-    const thresholds = getThresholds();
+// ==================== Batch Scoring API ====================
+
+// Re-score exported sessions sent as NDJSON (one per line) or a JSON array.
+// Streams one NDJSON result line per session as it finishes, then a summary line.
+// With ?async=true the upload is read, 202 is returned with the job ID and scoring runs in the background.
+router.post('/batch/score', requireSecretKey, async (req, res) => {
+    if (!Array.isArray(req.body) && !req.is('application/x-ndjson')) {
+        return res.status(415).json({
+            error: 'Unsupported content type',
+            message: 'Send sessions as application/x-ndjson or a JSON array'
+        });
+    }
     
-    // Check accuracy
-    if (accuracy > thresholds.location.accuracy.low) {
-        flags.push({
-            type: 'warning',
-            message: 'Low location accuracy',
-            explanation: `Accuracy of ${accuracy}m is above the ${thresholds.location.accuracy.low}m threshold`
+    try {
+        if (req.query.async === 'true') {
+            const items = [];
+            for await (const item of readItems(req)) {
+                items.push(item);
+                if (items.length > BATCH_MAX_SESSIONS) break;
+            }
+            
+            // runJob records its own failures on the job
+            const job = createJob(req.tenant.id);
+            runJob(job, items);
+            
+            return res.status(202).json({
+                success: true,
+                jobId: job.jobId,
+                status: job.status,
+                statusUrl: `/api/batch/jobs/${job.jobId}`,
+                resultsUrl: `/api/batch/jobs/${job.jobId}/results`
+            });
+        }
+        
+        const job = createJob(req.tenant.id);
+        res.set({
+            'Content-Type': 'application/x-ndjson',
+            'Cache-Control': 'no-store',
+            'X-Batch-Job-ID': job.jobId
         });
-        score -= 30;
+        
+        // Keep scoring if the client goes away; the results stay available from the job endpoints
+        const writeLine = line => {
+            if (res.writableEnded || res.destroyed) return;
+            res.write(JSON.stringify(line) + '\n');
+            // Push each line through the compression middleware straight away
+            if (res.flush) res.flush();
+        };
+        
+        await runJob(job, readItems(req), writeLine);
+        writeLine({ summary: getJob(job.jobId, req.tenant.id) });
+        res.end();
+    } catch (error) {
+        logger.error('Batch scoring error', { error });
+        if (res.headersSent) {
+            return res.end();
+        }
+        res.status(500).json({ error: 'Failed to score batch' });
     }
+});
 
-    // Check timestamp freshness
-    const age = Date.now() - timestamp;
-    if (age > 60000) { // More than 1 minute old
-        flags.push({ type: 'warning', message: 'Stale location data' });
-        score -= 10;
+// Progress and verdict counts of a batch job
+router.get('/batch/jobs/:jobId', requireSecretKey, (req, res) => {
+    const job = getJob(req.params.jobId, req.tenant.id);
+    
+    if (!job) {
+        return res.status(404).json({ error: 'Batch job not found' });
     }
     
-    // VPN Detection
-    let vpnResults = null;
-    if (clientIp && clientIp !== 'unknown') {
-        try {
-            vpnResults = await detectVPN(clientIp);
-            if (vpnResults.isVPN) {
-                const explanation = getVPNExplanation(vpnResults);
-                flags.push({ 
-                    type: 'warning', 
-                    message: 'VPN/Proxy detected',
-                    explanation: explanation
-                });
-                score -= 30;
-                
-                // Add specific service detections
-                if (vpnResults.detections.some(d => d.isTor)) {
-                    flags.push({ 
-                        type: 'fail', 
-                        message: 'Tor network detected',
-                        explanation: 'Connection is routed through the Tor anonymity network. Location cannot be verified.'
-                    });
-                    score -= 20;
-                }
-                
-                if (vpnResults.detections.some(d => d.fraudScore > 90)) {
-                    flags.push({ 
-                        type: 'fail', 
-                        message: 'High-risk IP address',
-                        explanation: 'This IP has been associated with fraudulent activity or abuse.'
-                    });
-                    score -= 20;
-                }
-            }
-        } catch (error) {
-            console.error('VPN detection error:', error);
-            // Don't penalize if VPN detection fails
-        }
+    res.json({ success: true, ...job });
+});
+
+// Result lines of a batch job (so far), in upload order, as NDJSON
+router.get('/batch/jobs/:jobId/results', requireSecretKey, (req, res) => {
+    const job = getJob(req.params.jobId, req.tenant.id);
+    
+    if (!job) {
+        return res.status(404).json({ error: 'Batch job not found' });
     }
+    
+    res.set('Content-Type', 'application/x-ndjson');
+    res.send(getJobResults(req.params.jobId, req.tenant.id).map(result => JSON.stringify(result) + '\n').join(''));
+});
 
-    // Determine status based on score
-    let status = 'authentic';
-    if (score < thresholds.location.score.likelySpoofed) status = 'likely_spoofed';
-    else if (score < thresholds.location.score.suspicious) status = 'suspicious';
+// ==================== Devices API ====================
 
-    return {
-        status,
-        score,
-        flags,
-        analysis: {
-            coordinates: { latitude, longitude },
-            accuracy,
-            timestamp: new Date(timestamp).toISOString(),
-            age: age,
-            vpnDetection: vpnResults
+// Sessions seen from a device and when its attributes changed
+router.get('/devices/:deviceId/sessions', requireSecretKey, (req, res) => {
+    try {
+        const history = getDeviceHistory(req.params.deviceId, req.tenant.id);
+        
+        if (!history) {
+            return res.status(404).json({ error: 'Device not found' });
         }
-    };
-}
+        
+        res.json({
+            success: true,
+            ...history
+        });
+    } catch (error) {
+        logger.error('Device history error', { error });
+        res.status(500).json({ error: 'Failed to retrieve device history' });
+    }
+});
 
-function getTimezoneFromCoordinates(lat, lon) {
-    // Simplified timezone estimation
-    // In production, use a proper timezone API or library
-    const longitude = parseFloat(lon);
-    const timezoneOffset = Math.round(longitude / 15);
-    return `UTC${timezoneOffset >= 0 ? '+' : ''}${timezoneOffset}`;
-}
+// ==================== Utility Functions ====================
 
 function calculateVPNProbability(req) {
     let probability = 0;
@@ -890,48 +1471,93 @@ function calculateVPNProbability(req) {
     return Math.min(probability, 100);
 }
 
+function hasCoordinates(location) {
+    return Boolean(location) && typeof location.latitude === 'number' && typeof location.longitude === 'number';
+}
+
+function challengeError(check) {
+    return {
+        error: check.reason === 'missing' ? 'Challenge nonce required' : 'Invalid challenge nonce',
+        reason: check.reason,
+        message: check.message
+    };
+}
+
+/**
+ * Consume the challenge nonce sent with a location submission.
+ * Returns { nonce } (null when nonces are optional and none was sent) or { error } with the 400 body.
+ */
+function checkChallenge(nonce, tenantId) {
+    if (nonce === undefined && !CHALLENGE_REQUIRED) {
+        return { nonce: null };
+    }
+
+    const check = consumeChallenge(nonce, tenantId);
+    if (!check.valid) {
+        return { error: challengeError(check) };
+    }
+
+    return { nonce: check.nonce };
+}
+
+/**
+ * Consume the challenge nonces of several location submissions ([{ index, nonce }]) together:
+ * all are checked before any is used. Returns { nonces } (index -> nonce, null when nonces are
+ * optional and none was sent) or { error, index } with the 400 body and the rejected submission.
+ */
+function checkChallenges(submissions, tenantId) {
+    const checked = submissions.filter(({ nonce }) => nonce !== undefined || CHALLENGE_REQUIRED);
+
+    const check = consumeChallenges(checked.map(({ nonce }) => nonce), tenantId);
+    if (!check.valid) {
+        return { error: challengeError(check), index: checked[check.index].index };
+    }
+
+    return { nonces: new Map(submissions.map(({ index, nonce }) => [index, nonce === undefined ? null : nonce])) };
+}
+
+// Who made a threshold change: the API key used, with the X-Author header kept as an
+// unverified note (any caller holding the key can send any name)
+function getChangeAuthor(req) {
+    return {
+        author: req.tenant.keyId ? `key:${req.tenant.keyId}` : 'anonymous',
+        authorNote: req.get('x-author') || null
+    };
+}
+
 function generateId() {
     return Date.now().toString(36) + Math.random().toString(36).substr(2);
 }
 
-// Get current thresholds
+// Get current thresholds (base thresholds merged with the tenant's overrides)
 router.get('/thresholds', (req, res) => {
-    const thresholds = getThresholds();
+    const thresholds = getThresholds(req.tenant.id);
     res.json(thresholds);
 });
 
-// Update thresholds (admin only - add authentication in production)
-router.put('/thresholds', (req, res) => {
+// Update thresholds for the calling tenant (validated against thresholds.schema.json and versioned)
+router.put('/thresholds', requireSecretKey, (req, res) => {
     try {
-        const { reloadThresholds } = require('./threshold-config');
-        const fs = require('fs');
-        const path = require('path');
-        
-        // Validate the threshold structure
-        const newThresholds = req.body;
+        const result = updateThresholds(req.body, {
+            tenantId: req.tenant.id,
+            ...getChangeAuthor(req)
+        });
         
-        // Basic validation
-        if (!newThresholds.location || !newThresholds.environment || !newThresholds.vpn) {
+        if (!result.valid) {
             return res.status(400).json({ 
-                error: 'Invalid threshold structure',
-                message: 'Thresholds must include location, environment, and vpn sections'
+                error: 'Invalid thresholds',
+                errors: result.errors
             });
         }
         
-        // Write to file
-        const thresholdsPath = path.join(__dirname, '..', 'thresholds.json');
-        fs.writeFileSync(thresholdsPath, JSON.stringify(newThresholds, null, 2));
-        
-        // Reload thresholds in memory
-        reloadThresholds();
-        
         res.json({ 
             success: true, 
             message: 'Thresholds updated successfully',
-            thresholds: getThresholds()
+            version: result.version,
+            thresholds: result.thresholds
         });
     } catch (error) {
-        console.error('Error updating thresholds:', error);
+        logger.error('Error updating thresholds', { error });
         res.status(500).json({ 
             error: 'Failed to update thresholds',
             message: error.message
@@ -939,4 +1565,54 @@ router.put('/thresholds', (req, res) => {
     }
 });
 
+// Threshold change history (newest first)
+router.get('/thresholds/history', requireSecretKey, (req, res) => {
+    try {
+        res.json({
+            success: true,
+            versions: getThresholdHistory(req.tenant.id)
+        });
+    } catch (error) {
+        logger.error('Threshold history error', { error });
+        res.status(500).json({ error: 'Failed to get threshold history' });
+    }
+});
+
+// Restore a previous threshold version (recorded as a new version)
+router.post('/thresholds/rollback/:version', requireSecretKey, (req, res) => {
+    try {
+        const version = parseInt(req.params.version, 10);
+        if (isNaN(version)) {
+            return res.status(400).json({ error: 'Invalid version' });
+        }
+        
+        const result = rollbackThresholds(version, {
+            tenantId: req.tenant.id,
+            ...getChangeAuthor(req)
+        });
+        
+        if (!result) {
+            return res.status(404).json({ error: 'Threshold version not found' });
+        }
+        
+        if (!result.valid) {
+            return res.status(409).json({ 
+                error: 'Version no longer valid',
+                message: 'The restored thresholds fail validation against the current base thresholds',
+                errors: result.errors
+            });
+        }
+        
+        res.json({
+            success: true,
+            message: `Thresholds rolled back to version ${version}`,
+            version: result.version,
+            thresholds: result.thresholds
+        });
+    } catch (error) {
+        logger.error('Threshold rollback error', { error });
+        res.status(500).json({ error: 'Failed to roll back thresholds' });
+    }
+});
+
 module.exports = router; 
\ No newline at end of file
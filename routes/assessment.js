@@ -0,0 +1,499 @@
+const crypto = require('crypto');
+const { detectVPN, getVPNExplanation } = require('./vpn-detection');
+const { getThresholds } = require('./threshold-config');
+const { crossCheckIpLocation } = require('./geoip');
+const { checkImpossibleTravel } = require('./travel');
+const { trackVelocity } = require('./velocity');
+const { resolveCoordinates, compareTimezones } = require('./location-metadata');
+const {
+    generateSessionFingerprint,
+    fingerprintToText,
+    generateEmbedding,
+    findSimilarSessions,
+    evaluateLite
+} = require('./session-fingerprint');
+const { emitWebhookEvent } = require('./webhooks');
+const { runSessionRules } = require('./session-rules');
+const { resolveDeviceId, recordDeviceSession } = require('./devices');
+const { logger } = require('./logger');
+
+/**
+ * Score reported coordinates (plausibility, accuracy, freshness, VPN, GeoIP, session
+ * velocity and, when an accountId is given, travel since the account's previous session).
+ * With replay set (re-scoring an exported session) the reading is not checked for freshness,
+ * its IP is not looked up with the VPN providers (today's answer says nothing about when it was
+ * recorded), it is not recorded in the velocity and travel history, and no webhook is sent.
+ * Callers that re-check the same connection can pass its earlier vpnResults instead of querying
+ * the VPN providers again, and notify: false to skip the webhook.
+ */
+async function verifyLocation(data) {
+    const { latitude, longitude, accuracy, timestamp, clientIp, userAgent, tenantId, accountId, deviceId, sessionId, nonce, replay = false } = data;
+    const { notify = !replay } = data;
+    const flags = [];
+    let score = 100;
+
+    // Check for null island
+    if (latitude === 0 && longitude === 0) {
+        flags.push({ type: 'critical', message: 'Null Island coordinates detected' });
+        score -= 50;
+    }
+
+    // Check for overly round coordinates
+    if (Number.isInteger(latitude) && Number.isInteger(longitude)) {
+        flags.push({ type: 'warning', message: 'Suspiciously round coordinates' });
+        score -= 20;
+    }
+
+    // Check for suspicious patterns
+    const thresholds = getThresholds(tenantId);
+    
+    // Check accuracy
+    if (accuracy > thresholds.location.accuracy.low) {
+        flags.push({
+            type: 'warning',
+            message: 'Low location accuracy',
+            explanation: `Accuracy of ${accuracy}m is above the ${thresholds.location.accuracy.low}m threshold`
+        });
+        score -= 30;
+    }
+
+    // Check timestamp freshness
+    const age = Date.now() - timestamp;
+    if (!replay && age > 60000) { // More than 1 minute old
+        flags.push({ type: 'warning', message: 'Stale location data' });
+        score -= 10;
+    }
+    
+    // VPN Detection
+    let vpnResults = null;
+    if (!replay && clientIp && clientIp !== 'unknown') {
+        try {
+            vpnResults = data.vpnResults || await detectVPN(clientIp, tenantId);
+            if (vpnResults.isVPN) {
+                const explanation = getVPNExplanation(vpnResults);
+                flags.push({ 
+                    type: 'warning', 
+                    message: 'VPN/Proxy detected',
+                    explanation: explanation
+                });
+                score -= 30;
+                
+                // Add specific service detections
+                if (vpnResults.detections.some(d => d.isTor)) {
+                    flags.push({ 
+                        type: 'fail', 
+                        message: 'Tor network detected',
+                        explanation: 'Connection is routed through the Tor anonymity network. Location cannot be verified.'
+                    });
+                    score -= 20;
+                }
+                
+                if (vpnResults.detections.some(d => d.fraudScore > 90)) {
+                    flags.push({ 
+                        type: 'fail', 
+                        message: 'High-risk IP address',
+                        explanation: 'This IP has been associated with fraudulent activity or abuse.'
+                    });
+                    score -= 20;
+                }
+            }
+        } catch (error) {
+            logger.error('VPN detection error', { error });
+            // Don't penalize if VPN detection fails
+        }
+    }
+    
+    // Offline GeoIP cross-check of the client IP against the reported coordinates
+    let geoipResults = null;
+    if (clientIp && clientIp !== 'unknown') {
+        try {
+            geoipResults = await crossCheckIpLocation({ latitude, longitude, clientIp, tenantId });
+            flags.push(...geoipResults.flags);
+            score -= geoipResults.deduction;
+        } catch (error) {
+            logger.error('GeoIP cross-check error', { error });
+        }
+    }
+
+    // Sessions per IP, device and account over the configured windows
+    let velocityResults = null;
+    if (!replay) {
+        try {
+            velocityResults = trackVelocity({ id: sessionId, tenantId, ip: clientIp, deviceId, accountId, latitude, longitude });
+            flags.push(...velocityResults.flags);
+            score -= velocityResults.deduction;
+        } catch (error) {
+            logger.error('Velocity check error', { error });
+        }
+    }
+
+    // Impossible travel since the account's previous located session
+    let travelResults = null;
+    if (accountId && !replay) {
+        try {
+            travelResults = checkImpossibleTravel({ accountId, sessionId, latitude, longitude, accuracy, timestamp, tenantId });
+            flags.push(...travelResults.flags);
+            score -= travelResults.deduction;
+        } catch (error) {
+            logger.error('Travel check error', { error });
+        }
+    }
+
+    // Determine status based on score
+    let status = 'authentic';
+    if (score < thresholds.location.score.likelySpoofed) status = 'likely_spoofed';
+    else if (score < thresholds.location.score.suspicious) status = 'suspicious';
+
+    if (status === 'likely_spoofed' && notify) {
+        emitWebhookEvent(tenantId, 'location.likely_spoofed', {
+            accountId: accountId || null,
+            nonce: nonce || null,
+            status,
+            score,
+            coordinates: { latitude, longitude },
+            accuracy,
+            flags
+        });
+    }
+
+    return {
+        status,
+        score,
+        flags,
+        // The challenge nonce this verdict answers, so it can't be passed off as the result of another submission
+        nonce: nonce || null,
+        analysis: {
+            coordinates: { latitude, longitude },
+            accuracy,
+            timestamp: new Date(timestamp).toISOString(),
+            age: age,
+            vpnDetection: vpnResults,
+            geoip: geoipResults,
+            velocity: velocityResults,
+            travel: travelResults
+        }
+    };
+}
+
+/**
+ * Score a client environment for VM / remote desktop indicators
+ */
+function analyzeEnvironment(data, tenantId) {
+    const { 
+        screenResolution, 
+        colorDepth, 
+        touchSupport, 
+        webglRenderer,
+        timezone,
+        language,
+        platform
+    } = data || {};
+
+    const flags = [];
+    let score = 100;
+    
+    const thresholds = getThresholds(tenantId);
+
+    // Check for virtual machine indicators
+    if (webglRenderer) {
+        const renderer = webglRenderer.toLowerCase();
+        if (renderer.includes('vmware') || renderer.includes('virtualbox')) {
+            flags.push({ type: 'fail', message: 'Virtual machine detected' });
+            score -= 50;
+        }
+    }
+
+    // Check for RDP indicators
+    if (colorDepth < thresholds.environment.colorDepth.rdpIndicator) {
+        flags.push({ type: 'warning', message: 'Low color depth (possible RDP)' });
+        score -= 25;
+    }
+
+    // Check for unusual resolutions
+    const commonResolutions = [
+        '1920x1080', '1366x768', '1440x900', '1536x864', '1280x720',
+        '2560x1440', '3840x2160', '1680x1050', '1600x900', '1280x800'
+    ];
+    
+    const resString = `${screenResolution?.width}x${screenResolution?.height}`;
+    if (screenResolution && !commonResolutions.includes(resString)) {
+        flags.push({ type: 'warning', message: 'Unusual screen resolution' });
+        score -= 15;
+    }
+
+    // Determine environment type
+    let environmentType = 'local_desktop';
+    if (score < thresholds.environment.score.likelyRemote) {
+        environmentType = 'remote_desktop';
+    } else if (score < thresholds.environment.score.possiblyRemote) {
+        environmentType = 'possibly_remote';
+    }
+
+    const analysis = {
+        environmentType,
+        score,
+        flags,
+        details: {
+            screenResolution,
+            colorDepth,
+            touchSupport,
+            webglRenderer,
+            platform,
+            timezone,
+            language
+        }
+    };
+
+    return analysis;
+}
+
+/**
+ * Fingerprint a detection and run the lite pattern evaluation against similar sessions
+ * (detectionData.replay: don't record velocity, ask Gemini for an insight or send the high-risk webhook)
+ */
+async function analyzeSessionLite(detectionData) {
+    const fingerprint = generateSessionFingerprint(detectionData);
+    const embedding = await generateEmbedding(fingerprintToText(fingerprint));
+    const similarSessions = await findSimilarSessions(embedding, 3, detectionData.tenantId);
+    const evaluation = await evaluateLite(fingerprint, similarSessions, {
+        replay: detectionData.replay,
+        llm: !detectionData.replay
+    });
+
+    if (evaluation.riskAssessment === 'HIGH' && !detectionData.replay) {
+        emitWebhookEvent(fingerprint.tenantId, 'session.high_risk', {
+            sessionId: detectionData.sessionId || fingerprint.sessionId,
+            source: 'lite',
+            riskAssessment: evaluation.riskAssessment,
+            riskScore: evaluation.riskScore,
+            riskFactors: evaluation.riskFactors,
+            patterns: evaluation.patterns
+        });
+    }
+
+    return { fingerprint, evaluation, similarSessions };
+}
+
+// Ordering used to combine risk levels from the individual checks
+const RISK_LEVELS = ['LOW', 'MEDIUM', 'HIGH'];
+
+const VERDICTS = {
+    LOW: { verdict: 'authentic', action: 'allow' },
+    MEDIUM: { verdict: 'suspicious', action: 'step_up' },
+    HIGH: { verdict: 'likely_spoofed', action: 'block' }
+};
+
+function maxRisk(...levels) {
+    return levels.reduce((max, level) =>
+        RISK_LEVELS.indexOf(level) > RISK_LEVELS.indexOf(max) ? level : max, 'LOW');
+}
+
+/**
+ * Settle a check without letting its failure fail the whole assessment
+ */
+async function settle(name, check) {
+    try {
+        return { name, result: await check() };
+    } catch (error) {
+        logger.error('Assessment check error', { check: name, error });
+        return { name, error: error.message };
+    }
+}
+
+/**
+ * Run every server-side check on a full detection payload in parallel and
+ * combine them into one verdict.
+ *
+ * payload: { sessionId?, accountId?, location, environment, network, detections?, detectionResults? }
+ * context: { clientIp, userAgent, tenantId, nonce?, replay? }
+ *
+ * replay re-scores an exported session: nothing is recorded in the velocity, travel or
+ * device history, no webhooks are sent, and neither the VPN providers nor Gemini are asked.
+ */
+async function assessDetection(payload, context) {
+    const { clientIp, userAgent, tenantId, nonce, replay = false } = context;
+    const thresholds = getThresholds(tenantId);
+    const location = payload.location || {};
+    const environment = payload.environment || {};
+    const hasCoordinates = typeof location.latitude === 'number' && typeof location.longitude === 'number';
+    const timestamp = typeof location.timestamp === 'string'
+        ? Date.parse(location.timestamp)
+        : location.timestamp || Date.now();
+    const device = resolveDeviceId(environment, tenantId);
+    // Shared by the location and session checks so velocity counts the assessment once
+    const sessionId = payload.sessionId || crypto.randomBytes(16).toString('hex');
+
+    const checks = await Promise.all([
+        hasCoordinates
+            ? settle('location', () => verifyLocation({
+                latitude: location.latitude,
+                longitude: location.longitude,
+                accuracy: location.accuracy,
+                timestamp,
+                clientIp,
+                userAgent,
+                tenantId,
+                accountId: payload.accountId,
+                deviceId: device.deviceId,
+                sessionId,
+                nonce,
+                replay
+            }))
+            : { name: 'location', result: null },
+        // verifyLocation already runs the VPN check when coordinates are present
+        !replay && !hasCoordinates && clientIp && clientIp !== 'unknown'
+            ? settle('vpn', () => detectVPN(clientIp, tenantId))
+            : { name: 'vpn', result: null, error: replay ? 'Not looked up when re-scoring' : undefined },
+        hasCoordinates
+            ? settle('timezone', () => compareTimezones(environment.timezone, resolveCoordinates(location.latitude, location.longitude)))
+            : { name: 'timezone', result: null },
+        settle('environment', () => analyzeEnvironment(environment, tenantId)),
+        settle('session', () => analyzeSessionLite({
+            sessionId,
+            accountId: payload.accountId,
+            location: payload.location,
+            environment: payload.environment,
+            network: payload.network,
+            timestamp: payload.timestamp,
+            userAgent,
+            clientIp,
+            tenantId,
+            device,
+            detectionResults: payload.detectionResults,
+            replay
+        })),
+        // A single detection is checked the way the browser checks one: as the current session,
+        // without a detections list, so the sessionOnly rules are skipped
+        settle('rules', () => runSessionRules(Array.isArray(payload.detections) && payload.detections.length
+            ? payload
+            : { ...payload, detections: undefined }))
+    ]);
+
+    const results = Object.fromEntries(checks.map(check => [check.name, check]));
+    const categories = {};
+    const flags = [];
+    const addFlags = (category, categoryFlags = []) => {
+        categoryFlags.forEach(flag => flags.push({ ...flag, category }));
+    };
+
+    // Location (includes VPN and GeoIP checks) plus the timezone cross-check
+    const locationResult = results.location.result;
+    if (locationResult) {
+        let score = locationResult.score;
+        const timezoneFlags = results.timezone.result?.flags || [];
+        timezoneFlags.forEach(flag => {
+            score -= flag.type === 'fail'
+                ? thresholds.scoring.deductions.locationFail
+                : thresholds.scoring.deductions.locationWarning;
+        });
+
+        let status = 'authentic';
+        if (score < thresholds.location.score.likelySpoofed) status = 'likely_spoofed';
+        else if (score < thresholds.location.score.suspicious) status = 'suspicious';
+
+        categories.location = { status, score, travel: locationResult.analysis.travel, available: true };
+        addFlags('location', locationResult.flags);
+        addFlags('location', timezoneFlags);
+    } else {
+        categories.location = { status: 'unable_to_verify', score: null, available: false, error: results.location.error };
+        flags.push({ type: 'fail', message: 'Location data not provided', category: 'location' });
+    }
+
+    // Network
+    const vpnResults = locationResult?.analysis?.vpnDetection || results.vpn.result;
+    // Confidence is NaN when no VPN service returned a result
+    const vpnConfidence = Number.isFinite(vpnResults?.confidence) ? vpnResults.confidence : 0;
+    categories.network = vpnResults
+        ? {
+            isVPN: vpnResults.isVPN,
+            confidence: vpnConfidence,
+            score: 100 - vpnConfidence,
+            explanation: getVPNExplanation(vpnResults),
+            available: true
+        }
+        : { isVPN: null, confidence: null, score: null, available: false, error: results.vpn.error };
+
+    // Environment
+    const environmentResult = results.environment.result;
+    categories.environment = environmentResult
+        ? { environmentType: environmentResult.environmentType, score: environmentResult.score, available: true }
+        : { environmentType: null, score: null, available: false, error: results.environment.error };
+    addFlags('environment', environmentResult?.flags);
+
+    // Session patterns
+    const sessionResult = results.session.result;
+    categories.session = sessionResult
+        ? {
+            risk: sessionResult.evaluation.riskAssessment,
+            score: sessionResult.evaluation.riskScore,
+            riskFactors: sessionResult.evaluation.riskFactors,
+            patterns: sessionResult.evaluation.patterns,
+            similarSessions: sessionResult.similarSessions.length,
+            available: sessionResult.evaluation.riskAssessment !== 'UNKNOWN'
+        }
+        : { risk: null, score: null, available: false, error: results.session.error };
+
+    // Session rules
+    const rulesResult = results.rules.result;
+    categories.rules = rulesResult
+        ? {
+            hasIssues: rulesResult.hasIssues,
+            failedChecks: rulesResult.summary.failedChecks,
+            results: rulesResult.results,
+            available: true
+        }
+        : { hasIssues: null, failedChecks: null, available: false, error: results.rules.error };
+    (rulesResult?.results || [])
+        .filter(rule => rule.result)
+        .forEach(rule => flags.push({
+            type: 'warning',
+            message: rule.message || rule.checkName,
+            category: 'rules',
+            rule: rule.checkName
+        }));
+
+    // Overall score is the average of the location and environment scores, as in calculateOverallRisk
+    const scores = [categories.location.score, categories.environment.score].filter(score => score !== null);
+    const score = scores.length
+        ? Math.round(scores.reduce((sum, value) => sum + value, 0) / scores.length)
+        : 0;
+
+    let scoreRisk = 'LOW';
+    if (score < thresholds.riskAssessment.averageScore.high) scoreRisk = 'HIGH';
+    else if (score < thresholds.riskAssessment.averageScore.medium) scoreRisk = 'MEDIUM';
+
+    // Individual checks can only raise the risk the score implies
+    const risk = maxRisk(
+        scoreRisk,
+        categories.location.status === 'likely_spoofed' ? 'HIGH' : 'LOW',
+        categories.location.status === 'suspicious' ? 'MEDIUM' : 'LOW',
+        RISK_LEVELS.includes(categories.session.risk) ? categories.session.risk : 'LOW',
+        categories.rules.hasIssues ? 'MEDIUM' : 'LOW'
+    );
+
+    if (!replay) {
+        recordDeviceSession({ ...device, sessionId, accountId: payload.accountId, tenantId });
+    }
+
+    return {
+        sessionId,
+        deviceId: device.deviceId,
+        nonce: nonce || null,
+        verdict: VERDICTS[risk].verdict,
+        risk,
+        score,
+        action: VERDICTS[risk].action,
+        categories,
+        flags,
+        assessedAt: new Date().toISOString()
+    };
+}
+
+module.exports = {
+    verifyLocation,
+    analyzeEnvironment,
+    analyzeSessionLite,
+    assessDetection,
+    maxRisk,
+    VERDICTS
+};
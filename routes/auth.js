@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+const { DEFAULT_TENANT_ID, isAuthEnabled, findTenantByApiKey, getTenant } = require('./tenants');
+const { setLogTenant } = require('./logger');
+
+/**
+ * Read an API key from X-API-Key or an "Authorization: Bearer" header
+ */
+function getApiKey(req) {
+    if (req.headers['x-api-key']) {
+        return req.headers['x-api-key'];
+    }
+
+    const authorization = req.headers.authorization || '';
+    if (authorization.startsWith('Bearer ')) {
+        return authorization.slice(7).trim();
+    }
+
+    return null;
+}
+
+/**
+ * Client IP of a request (or WebSocket upgrade request), preferring proxy headers
+ */
+function getClientIp(req) {
+    // Try various headers that might contain the real IP
+    const forwarded = req.headers['x-forwarded-for'];
+    if (forwarded) {
+        return forwarded.split(',')[0].trim();
+    }
+    
+    if (req.headers['x-real-ip']) {
+        return req.headers['x-real-ip'];
+    }
+    
+    if (req.connection && req.connection.remoteAddress) {
+        return req.connection.remoteAddress;
+    }
+    
+    return req.ip || 'unknown';
+}
+
+/**
+ * Validate the tenant API key and attach the tenant as req.tenant
+ */
+function authenticateApiKey(req, res, next) {
+    if (!isAuthEnabled()) {
+        req.tenant = getTenant(DEFAULT_TENANT_ID);
+        setLogTenant(req.tenant.id);
+        return next();
+    }
+
+    const apiKey = getApiKey(req);
+    if (!apiKey) {
+        return res.status(401).json({
+            error: 'API key required',
+            message: 'Send your tenant API key in the X-API-Key header'
+        });
+    }
+
+    const tenant = findTenantByApiKey(apiKey);
+    if (!tenant) {
+        return res.status(401).json({ error: 'Invalid API key' });
+    }
+
+    req.tenant = tenant;
+    setLogTenant(tenant.id);
+    next();
+}
+
+/**
+ * Guard a management endpoint: publishable keys (the one in the browser) are refused.
+ * Runs after authenticateApiKey; everything is open while authentication is disabled.
+ */
+function requireSecretKey(req, res, next) {
+    if (isAuthEnabled() && req.tenant.keyScope !== 'secret') {
+        return res.status(403).json({
+            error: 'Secret API key required',
+            message: 'Publishable keys only reach the detection endpoints; use a secret key of this tenant'
+        });
+    }
+    next();
+}
+
+/**
+ * Guard tenant administration with the ADMIN_API_KEY environment variable
+ */
+function requireAdminKey(req, res, next) {
+    const adminKey = process.env.ADMIN_API_KEY;
+    if (!adminKey) {
+        return res.status(403).json({
+            error: 'Admin API disabled',
+            message: 'Set ADMIN_API_KEY to enable tenant administration'
+        });
+    }
+
+    const provided = Buffer.from(String(req.headers['x-admin-key'] || ''));
+    const expected = Buffer.from(adminKey);
+    if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+        return res.status(401).json({ error: 'Invalid admin key' });
+    }
+
+    next();
+}
+
+module.exports = {
+    getApiKey,
+    getClientIp,
+    authenticateApiKey,
+    requireSecretKey,
+    requireAdminKey
+};
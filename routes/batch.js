@@ -0,0 +1,207 @@
+const crypto = require('crypto');
+const readline = require('readline');
+const { FileStore } = require('./file-store');
+const { assessDetection } = require('./assessment');
+const { recordVerdict } = require('./metrics');
+const { logger } = require('./logger');
+const { DEFAULT_TENANT_ID } = require('./tenants');
+const { unwrapSession, primaryDetection, exportedClientIp } = require('./session-export');
+
+// Sessions scored at the same time within one batch
+const BATCH_CONCURRENCY = parseInt(process.env.BATCH_CONCURRENCY, 10) || 4;
+
+// Sessions accepted per batch; further lines are not read
+const BATCH_MAX_SESSIONS = parseInt(process.env.BATCH_MAX_SESSIONS, 10) || 1000;
+
+// Per-session results and finished jobs, so results can be fetched after the upload's response has ended
+const resultStore = new FileStore('batch-results');
+const jobStore = new FileStore('batch-jobs');
+
+// Jobs that are still running: jobId -> job
+const runningJobs = new Map();
+
+/**
+ * Re-score one exported session with the same checks as /api/assess.
+ * A multi-detection session is assessed on its primary detection, with the session rules
+ * run over all of its detections.
+ */
+async function scoreSession(session, tenantId) {
+    const detection = primaryDetection(session);
+    const clientIp = exportedClientIp(detection);
+
+    return assessDetection({
+        sessionId: session.sessionId,
+        accountId: session.accountId,
+        location: detection.location,
+        environment: detection.environment,
+        network: detection.network,
+        timestamp: detection.detectionTimestamp || detection.timestamp,
+        detections: Array.isArray(session.detections) ? session.detections : undefined,
+        detectionResults: detection.detectionResults
+    }, {
+        clientIp,
+        userAgent: detection.environment?.userAgent || session.metadata?.userAgent || null,
+        tenantId,
+        replay: true
+    });
+}
+
+/**
+ * Score one item and store its result line
+ */
+async function scoreItem(job, item) {
+    let result;
+    try {
+        if (item.error) {
+            throw new Error(item.error);
+        }
+        const session = unwrapSession(item.value);
+        if (!session) {
+            throw new Error('Expected a session object');
+        }
+
+        const assessment = await scoreSession(session, job.tenantId);
+        recordVerdict('batch', { status: assessment.verdict, risk: assessment.risk, flags: assessment.flags });
+
+        result = {
+            line: item.line,
+            sessionId: assessment.sessionId,
+            accountId: session.accountId || null,
+            verdict: assessment.verdict,
+            risk: assessment.risk,
+            score: assessment.score,
+            action: assessment.action,
+            categories: assessment.categories,
+            flags: assessment.flags,
+            assessedAt: assessment.assessedAt
+        };
+        job.succeeded++;
+        job.verdicts[assessment.verdict] = (job.verdicts[assessment.verdict] || 0) + 1;
+    } catch (error) {
+        result = { line: item.line, error: error.message };
+        job.failed++;
+    }
+
+    job.processed++;
+    resultStore.append({ jobId: job.jobId, tenantId: job.tenantId, ...result });
+    return result;
+}
+
+/**
+ * Uploaded items as { line, value } or { line, error }: JSON array elements, or the lines of
+ * an NDJSON stream read as they arrive (blank lines are skipped but still counted)
+ */
+async function* readItems(req) {
+    if (Array.isArray(req.body)) {
+        for (let i = 0; i < req.body.length; i++) {
+            yield { line: i + 1, value: req.body[i] };
+        }
+        return;
+    }
+
+    let line = 0;
+    for await (const text of readline.createInterface({ input: req, crlfDelay: Infinity })) {
+        line++;
+        if (!text.trim()) continue;
+        try {
+            yield { line, value: JSON.parse(text) };
+        } catch (error) {
+            yield { line, error: 'Invalid JSON' };
+        }
+    }
+}
+
+function createJob(tenantId = DEFAULT_TENANT_ID) {
+    const job = {
+        jobId: `batch_${crypto.randomBytes(12).toString('base64url')}`,
+        tenantId,
+        status: 'running',
+        total: 0,
+        processed: 0,
+        succeeded: 0,
+        failed: 0,
+        truncated: false,
+        verdicts: {},
+        createdAt: new Date().toISOString(),
+        completedAt: null
+    };
+    runningJobs.set(job.jobId, job);
+    return job;
+}
+
+/**
+ * Score items with at most BATCH_CONCURRENCY sessions in flight, calling onResult as each finishes
+ */
+async function runJob(job, items, onResult = () => {}) {
+    const active = new Set();
+
+    try {
+        for await (const item of items) {
+            if (job.total >= BATCH_MAX_SESSIONS) {
+                job.truncated = true;
+                break;
+            }
+            job.total++;
+
+            const task = scoreItem(job, item)
+                .then(onResult)
+                .finally(() => active.delete(task));
+            active.add(task);
+
+            if (active.size >= BATCH_CONCURRENCY) {
+                await Promise.race(active);
+            }
+        }
+        await Promise.all(active);
+        job.status = 'completed';
+    } catch (error) {
+        logger.error('Batch job error', { jobId: job.jobId, error });
+        await Promise.allSettled(active);
+        job.status = 'failed';
+        job.error = error.message;
+    }
+
+    job.completedAt = new Date().toISOString();
+    jobStore.append({ ...job });
+    runningJobs.delete(job.jobId);
+
+    logger.info('Batch job finished', {
+        jobId: job.jobId,
+        status: job.status,
+        total: job.total,
+        succeeded: job.succeeded,
+        failed: job.failed
+    });
+    return job;
+}
+
+/**
+ * Status of a running or finished job, or null
+ */
+function getJob(jobId, tenantId = DEFAULT_TENANT_ID) {
+    const job = runningJobs.get(jobId) || jobStore.find(record => record.jobId === jobId);
+    if (!job || job.tenantId !== tenantId) return null;
+
+    const { tenantId: _tenantId, ...status } = job;
+    return status;
+}
+
+/**
+ * Stored result lines of a job, in upload order
+ */
+function getJobResults(jobId, tenantId = DEFAULT_TENANT_ID) {
+    return resultStore
+        .filter(record => record.jobId === jobId && record.tenantId === tenantId)
+        .map(({ tenantId: _tenantId, ...result }) => result)
+        .sort((a, b) => a.line - b.line);
+}
+
+module.exports = {
+    readItems,
+    createJob,
+    runJob,
+    getJob,
+    getJobResults,
+    BATCH_CONCURRENCY,
+    BATCH_MAX_SESSIONS
+};
@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+const { DEFAULT_TENANT_ID } = require('./tenants');
+
+// How long an issued nonce can be used for
+const CHALLENGE_TTL_SECONDS = parseInt(process.env.CHALLENGE_TTL_SECONDS, 10) || 120;
+
+// Set CHALLENGE_REQUIRED=false to accept location submissions without a nonce (e.g. while migrating clients)
+const CHALLENGE_REQUIRED = process.env.CHALLENGE_REQUIRED !== 'false';
+
+// Issued nonces, kept in memory until they expire: nonce -> { tenantId, issuedAt, expiresAt, usedAt }
+const challenges = new Map();
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+const REASON_MESSAGES = {
+    missing: 'Request a nonce from GET /api/challenge and send it with the location',
+    unknown: 'The nonce was not issued by this server for this tenant',
+    expired: 'The nonce has expired, request a new one',
+    used: 'The nonce has already been used'
+};
+
+/**
+ * Issue a single-use nonce for the tenant
+ */
+function issueChallenge(tenantId = DEFAULT_TENANT_ID) {
+    const nonce = crypto.randomBytes(16).toString('base64url');
+    const issuedAt = Date.now();
+    const expiresAt = issuedAt + CHALLENGE_TTL_SECONDS * 1000;
+
+    challenges.set(nonce, { tenantId, issuedAt, expiresAt, usedAt: null });
+
+    return {
+        nonce,
+        issuedAt: new Date(issuedAt).toISOString(),
+        expiresAt: new Date(expiresAt).toISOString(),
+        ttlSeconds: CHALLENGE_TTL_SECONDS
+    };
+}
+
+/**
+ * Why a nonce can't be used, or null when it can
+ */
+function challengeProblem(nonce, tenantId) {
+    if (typeof nonce !== 'string' || !nonce) {
+        return 'missing';
+    }
+
+    const challenge = challenges.get(nonce);
+    if (!challenge || challenge.tenantId !== tenantId) {
+        return 'unknown';
+    }
+    if (challenge.usedAt) {
+        return 'used';
+    }
+    if (Date.now() > challenge.expiresAt) {
+        return 'expired';
+    }
+    return null;
+}
+
+/**
+ * Check a nonce and mark it used.
+ * Returns { valid: true, nonce } or { valid: false, reason, message }.
+ */
+function consumeChallenge(nonce, tenantId = DEFAULT_TENANT_ID) {
+    const reason = challengeProblem(nonce, tenantId);
+    if (reason) {
+        return { valid: false, reason, message: REASON_MESSAGES[reason] };
+    }
+
+    challenges.get(nonce).usedAt = Date.now();
+    return { valid: true, nonce };
+}
+
+/**
+ * Check several nonces and mark them all used, or none of them when one is invalid, so a
+ * rejected submission doesn't burn the nonces of the others. A nonce listed twice counts as used.
+ * Returns { valid: true, nonces } or { valid: false, index, reason, message }.
+ */
+function consumeChallenges(nonces, tenantId = DEFAULT_TENANT_ID) {
+    const seen = new Set();
+    for (let index = 0; index < nonces.length; index++) {
+        const reason = challengeProblem(nonces[index], tenantId) || (seen.has(nonces[index]) ? 'used' : null);
+        if (reason) {
+            return { valid: false, index, reason, message: REASON_MESSAGES[reason] };
+        }
+        seen.add(nonces[index]);
+    }
+
+    const usedAt = Date.now();
+    nonces.forEach(nonce => {
+        challenges.get(nonce).usedAt = usedAt;
+    });
+    return { valid: true, nonces };
+}
+
+/**
+ * Drop nonces one TTL after they expired (until then a late submission is reported
+ * as expired and a replay as reused, rather than as unknown)
+ */
+function sweepChallenges() {
+    const now = Date.now();
+    challenges.forEach((challenge, nonce) => {
+        if (now > challenge.expiresAt + CHALLENGE_TTL_SECONDS * 1000) {
+            challenges.delete(nonce);
+        }
+    });
+}
+
+// unref() so the sweep never keeps the process alive on its own
+setInterval(sweepChallenges, SWEEP_INTERVAL_MS).unref();
+
+module.exports = {
+    issueChallenge,
+    consumeChallenge,
+    consumeChallenges,
+    CHALLENGE_REQUIRED,
+    CHALLENGE_TTL_SECONDS
+};
@@ -0,0 +1,67 @@
+const { FileStore } = require('./file-store');
+const { DEFAULT_TENANT_ID } = require('./tenants');
+const { protectRecord, storedIpForms } = require('./privacy');
+
+const store = new FileStore('detections');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Persist a detection record, with IPs and coordinates protected by the tenant's privacy policy
+ */
+function saveDetection(detection) {
+    return store.append(protectRecord(detection, detection.tenantId || DEFAULT_TENANT_ID));
+}
+
+function belongsToTenant(detection, tenantId) {
+    return (detection.tenantId || DEFAULT_TENANT_ID) === tenantId;
+}
+
+/**
+ * Get a single detection by ID within a tenant
+ */
+function getDetection(id, tenantId = DEFAULT_TENANT_ID) {
+    return store.find(d => d.id === id && belongsToTenant(d, tenantId));
+}
+
+/**
+ * Query a tenant's detections with filters and pagination (newest first)
+ */
+function queryDetections(filters = {}, tenantId = DEFAULT_TENANT_ID) {
+    const { sessionId, clientIp, status, from, to } = filters;
+    const limit = Math.min(Math.max(parseInt(filters.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const offset = Math.max(parseInt(filters.offset, 10) || 0, 0);
+
+    const fromTime = from ? new Date(from).getTime() : null;
+    const toTime = to ? new Date(to).getTime() : null;
+    const ipForms = clientIp ? storedIpForms(clientIp) : [];
+
+    const matches = store.filter(d => {
+        if (!belongsToTenant(d, tenantId)) return false;
+        if (sessionId && d.sessionId !== sessionId) return false;
+        if (clientIp && !ipForms.includes(d.clientIp)) return false;
+        if (status && d.status !== status) return false;
+
+        const time = new Date(d.timestamp).getTime();
+        if (fromTime !== null && time < fromTime) return false;
+        if (toTime !== null && time > toTime) return false;
+
+        return true;
+    });
+
+    matches.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+
+    return {
+        total: matches.length,
+        limit,
+        offset,
+        detections: matches.slice(offset, offset + limit)
+    };
+}
+
+module.exports = {
+    saveDetection,
+    getDetection,
+    queryDetections
+};
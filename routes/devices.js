@@ -0,0 +1,223 @@
+const crypto = require('crypto');
+const { FileStore } = require('./file-store');
+const { getThresholds } = require('./threshold-config');
+const { DEFAULT_TENANT_ID } = require('./tenants');
+
+// One record per stored session, with the device attributes seen in it
+const deviceStore = new FileStore('device-sessions');
+
+// Durable environment attributes that make up a device identity
+const DEVICE_ATTRIBUTES = ['gpu', 'screen', 'colorDepth', 'platform', 'cpuCores', 'deviceMemory', 'timezone', 'language'];
+
+// Hardware attributes besides the GPU that never change on a device. A drift match must agree on them,
+// and at least one must have been collected, so machines that only share a GPU model stay apart.
+const ANCHOR_ATTRIBUTES = ['cpuCores', 'deviceMemory'];
+
+// Latest record of every device by tenant (tenantId -> deviceId -> record). Updated on append and
+// rebuilt when the store's records are replaced (first load, retention purge, subject deletion).
+let deviceIndex = { records: null, tenants: new Map() };
+
+function normalizeText(value) {
+    return typeof value === 'string' && value.trim() ? value.trim().toLowerCase() : null;
+}
+
+function normalizeNumber(value) {
+    const number = Number(value);
+    return value !== null && value !== '' && Number.isFinite(number) && number > 0 ? number : null;
+}
+
+/**
+ * GPU renderer without driver/build version numbers, which change on every driver update
+ */
+function normalizeGpu(renderer) {
+    const gpu = normalizeText(renderer);
+    if (!gpu) return null;
+    return gpu
+        .replace(/[\w-]*\d+(\.\d+){2,}/g, '')
+        .replace(/\b(vs|ps)_\d+_\d+\b/g, '')
+        .replace(/\s+/g, ' ')
+        .replace(/\s*,\s*(?=[,)])/g, '')
+        .replace(/\s+\)/g, ')')
+        .trim();
+}
+
+/**
+ * Screen size independent of orientation
+ */
+function normalizeScreen(screenResolution) {
+    const width = normalizeNumber(screenResolution?.width);
+    const height = normalizeNumber(screenResolution?.height);
+    if (!width || !height) return null;
+    return `${Math.max(width, height)}x${Math.min(width, height)}`;
+}
+
+/**
+ * Normalized device attributes from collected environment data
+ */
+function getDeviceAttributes(environment = {}) {
+    return {
+        gpu: normalizeGpu(environment.webglRenderer || environment.gpu),
+        screen: normalizeScreen(environment.screenResolution),
+        colorDepth: normalizeNumber(environment.colorDepth),
+        platform: normalizeText(environment.platform),
+        cpuCores: normalizeNumber(environment.cpuCores),
+        deviceMemory: normalizeNumber(environment.deviceMemory),
+        timezone: normalizeText(environment.timezone),
+        // Primary language only, so en-US and en-GB are the same device
+        language: normalizeText(environment.language)?.split('-')[0] || null
+    };
+}
+
+function countAttributes(attributes) {
+    return DEVICE_ATTRIBUTES.filter(name => attributes[name] !== null).length;
+}
+
+/**
+ * Attributes that differ between two observations of a device
+ */
+function diffAttributes(from, to) {
+    return DEVICE_ATTRIBUTES
+        .filter(name => from[name] !== to[name])
+        .map(name => ({ attribute: name, from: from[name], to: to[name] }));
+}
+
+/**
+ * Device ID for an exact set of attributes (scoped to the tenant so IDs don't correlate across tenants)
+ */
+function hashDeviceId(attributes, tenantId) {
+    const canonical = JSON.stringify([tenantId, ...DEVICE_ATTRIBUTES.map(name => attributes[name])]);
+    return `dev_${crypto.createHash('sha256').update(canonical).digest('hex').slice(0, 24)}`;
+}
+
+function indexRecord(tenants, record) {
+    if (!tenants.has(record.tenantId)) tenants.set(record.tenantId, new Map());
+    tenants.get(record.tenantId).set(record.deviceId, record);
+}
+
+/**
+ * Latest recorded attributes of every device of a tenant
+ */
+function getKnownDevices(tenantId) {
+    const records = deviceStore.all();
+    if (deviceIndex.records !== records) {
+        const tenants = new Map();
+        records.forEach(record => indexRecord(tenants, record));
+        deviceIndex = { records, tenants };
+    }
+    return deviceIndex.tenants.get(tenantId) || new Map();
+}
+
+/**
+ * Whether a known device and new attributes agree on the anchor attributes, with at least one collected
+ */
+function sharesAnchors(known, attributes) {
+    return ANCHOR_ATTRIBUTES.every(name => known[name] === attributes[name]) &&
+        ANCHOR_ATTRIBUTES.some(name => attributes[name] !== null);
+}
+
+/**
+ * Resolve the device ID for environment data.
+ * The same attributes always give the same ID. When they don't match exactly, a known device
+ * with the same GPU, CPU cores and device memory (at least one of the two collected) and at most
+ * `device.maxAttributeChanges` other differences is reused, so a browser update, a new monitor
+ * or travelling to another timezone keeps the device ID.
+ * Returns null when too few attributes were collected to identify a device.
+ */
+function resolveDeviceId(environment, tenantId = DEFAULT_TENANT_ID) {
+    const thresholds = getThresholds(tenantId).device;
+    const attributes = getDeviceAttributes(environment);
+
+    if (countAttributes(attributes) < thresholds.minAttributes) {
+        return { deviceId: null, attributes, match: null, changes: [] };
+    }
+
+    const exactId = hashDeviceId(attributes, tenantId);
+    const devices = getKnownDevices(tenantId);
+
+    if (devices.has(exactId)) {
+        const changes = diffAttributes(devices.get(exactId).attributes, attributes);
+        return { deviceId: exactId, attributes, match: 'exact', changes };
+    }
+
+    let best = null;
+    devices.forEach(record => {
+        if (!attributes.gpu || record.attributes.gpu !== attributes.gpu) return;
+        if (!sharesAnchors(record.attributes, attributes)) return;
+        const changes = diffAttributes(record.attributes, attributes);
+        if (changes.length > thresholds.maxAttributeChanges) return;
+        // Fewest changes wins, then the most recently seen device
+        if (!best || changes.length < best.changes.length ||
+            (changes.length === best.changes.length && record.timestamp > best.record.timestamp)) {
+            best = { record, changes };
+        }
+    });
+
+    if (best) {
+        return { deviceId: best.record.deviceId, attributes, match: 'drift', changes: best.changes };
+    }
+
+    return { deviceId: exactId, attributes, match: 'new', changes: [] };
+}
+
+/**
+ * Record that a device was seen in a stored session (timestamped when the server saw it,
+ * so the history stays in order even when clients send their own session times)
+ */
+function recordDeviceSession({ deviceId, attributes, changes, sessionId, accountId, tenantId = DEFAULT_TENANT_ID }) {
+    if (!deviceId) return null;
+
+    const record = deviceStore.append({
+        tenantId,
+        deviceId,
+        sessionId,
+        accountId: accountId || null,
+        attributes,
+        changes: changes || [],
+        timestamp: new Date().toISOString()
+    });
+    if (deviceIndex.records === deviceStore.all()) {
+        indexRecord(deviceIndex.tenants, record);
+    }
+    return record;
+}
+
+/**
+ * A device's session history and attribute changes, oldest first.
+ * Returns null when the tenant has never seen the device.
+ */
+function getDeviceHistory(deviceId, tenantId = DEFAULT_TENANT_ID) {
+    const records = deviceStore.filter(r => r.tenantId === tenantId && r.deviceId === deviceId);
+    if (!records.length) return null;
+
+    const attributeChanges = [];
+    records.forEach(record => {
+        record.changes.forEach(change => {
+            attributeChanges.push({ ...change, sessionId: record.sessionId, timestamp: record.timestamp });
+        });
+    });
+
+    return {
+        deviceId,
+        firstSeen: records[0].timestamp,
+        lastSeen: records[records.length - 1].timestamp,
+        sessionCount: records.length,
+        accounts: [...new Set(records.map(r => r.accountId).filter(Boolean))],
+        attributes: records[records.length - 1].attributes,
+        sessions: records.map(r => ({
+            sessionId: r.sessionId,
+            accountId: r.accountId,
+            timestamp: r.timestamp,
+            changes: r.changes.map(change => change.attribute)
+        })),
+        attributeChanges
+    };
+}
+
+module.exports = {
+    DEVICE_ATTRIBUTES,
+    getDeviceAttributes,
+    diffAttributes,
+    resolveDeviceId,
+    recordDeviceSession,
+    getDeviceHistory
+};
@@ -0,0 +1,116 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+
+// Every store opened in this process, by name (see getStore)
+const openStores = new Map();
+
+/**
+ * Append-only JSON Lines store kept in DATA_DIR.
+ * Records are loaded into memory on first access and every write
+ * is appended to disk, so the file is the source of truth across restarts.
+ * The file is only rewritten when records are removed (retention and subject deletion).
+ */
+class FileStore {
+    constructor(name) {
+        this.name = name;
+        this.filePath = path.join(DATA_DIR, `${name}.jsonl`);
+        this.records = null;
+        openStores.set(name, this);
+    }
+
+    /**
+     * Load records from disk (skips malformed lines)
+     */
+    load() {
+        this.records = [];
+
+        if (!fs.existsSync(this.filePath)) {
+            return this.records;
+        }
+
+        const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+        lines.forEach((line, index) => {
+            if (!line.trim()) return;
+            try {
+                this.records.push(JSON.parse(line));
+            } catch (error) {
+                logger.warn('Skipping malformed line', { file: this.filePath, line: index + 1 });
+            }
+        });
+
+        return this.records;
+    }
+
+    /**
+     * Get all records (load if not already loaded)
+     */
+    all() {
+        if (!this.records) {
+            this.load();
+        }
+        return this.records;
+    }
+
+    /**
+     * Append a record to memory and disk
+     */
+    append(record) {
+        this.all();
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        fs.appendFileSync(this.filePath, JSON.stringify(record) + '\n');
+        this.records.push(record);
+        return record;
+    }
+
+    /**
+     * Find the first record matching a predicate
+     */
+    find(predicate) {
+        return this.all().find(predicate) || null;
+    }
+
+    /**
+     * Get all records matching a predicate
+     */
+    filter(predicate) {
+        return this.all().filter(predicate);
+    }
+
+    /**
+     * Remove records matching a predicate and rewrite the file without them.
+     * Returns the removed records.
+     */
+    remove(predicate) {
+        const removed = this.filter(predicate);
+        if (!removed.length) {
+            return removed;
+        }
+
+        const dropped = new Set(removed);
+        const kept = this.records.filter(record => !dropped.has(record));
+
+        // Write a temporary file and rename it, so a crash never leaves a half-written store
+        const tmpPath = `${this.filePath}.tmp`;
+        fs.writeFileSync(tmpPath, kept.map(record => JSON.stringify(record) + '\n').join(''));
+        fs.renameSync(tmpPath, this.filePath);
+        this.records = kept;
+
+        return removed;
+    }
+}
+
+/**
+ * The store opened under a name by its owning module, or null if none is in use
+ */
+function getStore(name) {
+    return openStores.get(name) || null;
+}
+
+module.exports = {
+    FileStore,
+    getStore,
+    DATA_DIR
+};
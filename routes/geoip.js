@@ -0,0 +1,369 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const net = require('net');
+const maxmind = require('maxmind');
+const { iso1A2Code } = require('@rapideditor/country-coder');
+const { getThresholds } = require('./threshold-config');
+const { isPrivateIP } = require('./vpn-detection');
+const { logger } = require('./logger');
+
+// Local GeoIP database: a MaxMind-style .mmdb file or a CSV of IP ranges
+const GEOIP_DB_PATH = process.env.GEOIP_DB_PATH || null;
+
+// Column order of headerless CSVs (DB-IP "IP to City Lite" layout)
+const DEFAULT_CSV_COLUMNS = ['start', 'end', 'continent', 'country', 'region', 'city', 'latitude', 'longitude'];
+
+// Header names accepted for each column in CSVs that have a header row
+const CSV_HEADER_ALIASES = {
+    start: ['start', 'start_ip', 'ip_start', 'ip_from', 'network_start'],
+    end: ['end', 'end_ip', 'ip_end', 'ip_to', 'network_end'],
+    country: ['country', 'country_code', 'country_iso_code'],
+    region: ['region', 'region_name', 'stateprov', 'subdivision'],
+    city: ['city', 'city_name'],
+    latitude: ['latitude', 'lat'],
+    longitude: ['longitude', 'lon', 'lng']
+};
+
+const EARTH_RADIUS_KM = 6371;
+
+let databasePromise = null;
+
+/**
+ * Load the GeoIP database once (resolves to null if none is configured)
+ */
+function loadGeoIpDatabase() {
+    if (!databasePromise) {
+        databasePromise = openDatabase().catch(error => {
+            logger.error('Error loading GeoIP database', { error });
+            return null;
+        });
+    }
+    return databasePromise;
+}
+
+async function openDatabase() {
+    if (!GEOIP_DB_PATH) {
+        return null;
+    }
+
+    const dbPath = path.resolve(GEOIP_DB_PATH);
+    if (!fs.existsSync(dbPath)) {
+        throw new Error(`GeoIP database not found at ${dbPath}`);
+    }
+
+    if (dbPath.endsWith('.mmdb')) {
+        const reader = await maxmind.open(dbPath);
+        logger.info('GeoIP database loaded', { format: 'mmdb', path: dbPath });
+        return {
+            type: 'mmdb',
+            lookup: ip => fromMaxMindRecord(reader.get(ip))
+        };
+    }
+
+    const ranges = await loadCsvRanges(dbPath);
+    logger.info('GeoIP database loaded', { format: 'csv', ranges: ranges.v4.length + ranges.v6.length, path: dbPath });
+    return {
+        type: 'csv',
+        lookup: ip => lookupCsvRange(ranges, ip)
+    };
+}
+
+/**
+ * Normalize a MaxMind record to our location shape
+ */
+function fromMaxMindRecord(record) {
+    if (!record || !record.location) return null;
+
+    return {
+        country: record.country?.iso_code || record.registered_country?.iso_code || null,
+        region: record.subdivisions?.[0]?.iso_code || null,
+        city: record.city?.names?.en || null,
+        latitude: record.location.latitude,
+        longitude: record.location.longitude,
+        accuracyRadiusKm: record.location.accuracy_radius || 0
+    };
+}
+
+/**
+ * Stream a CSV of IP ranges into sorted IPv4 and IPv6 range tables
+ */
+async function loadCsvRanges(csvPath) {
+    const ranges = { v4: [], v6: [] };
+    const lines = readline.createInterface({
+        input: fs.createReadStream(csvPath),
+        crlfDelay: Infinity
+    });
+
+    let columns = null;
+
+    for await (const line of lines) {
+        if (!line.trim()) continue;
+        const fields = parseCsvLine(line);
+
+        if (!columns) {
+            columns = resolveCsvColumns(fields);
+            if (columns.fromHeader) continue;
+        }
+
+        const start = ipToBigInt(fields[columns.start]);
+        const end = ipToBigInt(fields[columns.end]);
+        const latitude = parseFloat(fields[columns.latitude]);
+        const longitude = parseFloat(fields[columns.longitude]);
+
+        if (start === null || end === null || isNaN(latitude) || isNaN(longitude)) continue;
+
+        const table = net.isIPv6(normalizeIp(fields[columns.start])) ? ranges.v6 : ranges.v4;
+        table.push({
+            start,
+            end,
+            location: {
+                country: fields[columns.country] || null,
+                region: columns.region !== undefined ? fields[columns.region] || null : null,
+                city: columns.city !== undefined ? fields[columns.city] || null : null,
+                latitude,
+                longitude,
+                accuracyRadiusKm: 0
+            }
+        });
+    }
+
+    const byStart = (a, b) => (a.start < b.start ? -1 : a.start > b.start ? 1 : 0);
+    ranges.v4.sort(byStart);
+    ranges.v6.sort(byStart);
+
+    return ranges;
+}
+
+/**
+ * Work out column positions from the first CSV row
+ */
+function resolveCsvColumns(firstRow) {
+    const header = firstRow.map(f => f.trim().toLowerCase());
+    const hasHeader = header.includes('latitude') || header.includes('lat');
+
+    const columns = { fromHeader: hasHeader };
+    if (hasHeader) {
+        Object.entries(CSV_HEADER_ALIASES).forEach(([column, aliases]) => {
+            const index = header.findIndex(h => aliases.includes(h));
+            if (index !== -1) columns[column] = index;
+        });
+    } else {
+        DEFAULT_CSV_COLUMNS.forEach((column, index) => {
+            columns[column] = index;
+        });
+    }
+
+    return columns;
+}
+
+/**
+ * Split a CSV line, honouring double-quoted fields
+ */
+function parseCsvLine(line) {
+    const fields = [];
+    let current = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (char === '"') {
+            if (inQuotes && line[i + 1] === '"') {
+                current += '"';
+                i++;
+            } else {
+                inQuotes = !inQuotes;
+            }
+        } else if (char === ',' && !inQuotes) {
+            fields.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    fields.push(current);
+
+    return fields;
+}
+
+/**
+ * Strip IPv4-mapped IPv6 prefixes ("::ffff:1.2.3.4" -> "1.2.3.4")
+ */
+function normalizeIp(ip) {
+    const value = String(ip || '').trim();
+    return value.toLowerCase().startsWith('::ffff:') && net.isIPv4(value.slice(7)) ? value.slice(7) : value;
+}
+
+/**
+ * Convert an IP address (or an integer range bound) to a BigInt
+ */
+function ipToBigInt(value) {
+    const ip = normalizeIp(value);
+
+    if (/^\d+$/.test(ip)) {
+        return BigInt(ip);
+    }
+
+    if (net.isIPv4(ip)) {
+        return ip.split('.').reduce((acc, octet) => (acc << 8n) + BigInt(parseInt(octet, 10)), 0n);
+    }
+
+    if (net.isIPv6(ip)) {
+        let address = ip.split('%')[0];
+
+        // Expand an embedded IPv4 tail into two hex groups
+        const v4Tail = address.match(/(\d+\.\d+\.\d+\.\d+)$/);
+        if (v4Tail) {
+            const v4 = ipToBigInt(v4Tail[1]);
+            address = address.slice(0, -v4Tail[1].length) + `${(v4 >> 16n).toString(16)}:${(v4 & 0xffffn).toString(16)}`;
+        }
+
+        const [head, tail] = address.split('::');
+        const headParts = head ? head.split(':') : [];
+        const tailParts = tail ? tail.split(':') : [];
+        const groups = tail === undefined
+            ? headParts
+            : [...headParts, ...Array(8 - headParts.length - tailParts.length).fill('0'), ...tailParts];
+
+        return groups.reduce((acc, group) => (acc << 16n) + BigInt(parseInt(group, 16)), 0n);
+    }
+
+    return null;
+}
+
+/**
+ * Binary search the range table for an IP
+ */
+function lookupCsvRange(ranges, ip) {
+    const normalized = normalizeIp(ip);
+    const value = ipToBigInt(normalized);
+    if (value === null) return null;
+
+    const table = net.isIPv6(normalized) ? ranges.v6 : ranges.v4;
+    let low = 0;
+    let high = table.length - 1;
+
+    while (low <= high) {
+        const mid = (low + high) >> 1;
+        const range = table[mid];
+        if (value < range.start) {
+            high = mid - 1;
+        } else if (value > range.end) {
+            low = mid + 1;
+        } else {
+            return range.location;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Resolve an IP address against the local GeoIP database
+ */
+async function lookupIpLocation(ip) {
+    const normalized = normalizeIp(ip);
+    if (!net.isIP(normalized) || isPrivateIP(normalized) || normalized === '::1') {
+        return null;
+    }
+
+    const database = await loadGeoIpDatabase();
+    if (!database) return null;
+
+    return database.lookup(normalized);
+}
+
+/**
+ * Get the ISO country code for a coordinate pair from bundled borders
+ */
+function getCountryFromCoordinates(latitude, longitude) {
+    return iso1A2Code([parseFloat(longitude), parseFloat(latitude)]) || null;
+}
+
+/**
+ * Great-circle distance between two points in kilometres (haversine)
+ */
+function haversineDistance(lat1, lon1, lat2, lon2) {
+    const toRad = deg => deg * Math.PI / 180;
+    const dLat = toRad(lat2 - lat1);
+    const dLon = toRad(lon2 - lon1);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * Cross-check reported GPS coordinates against the client IP's GeoIP location
+ */
+async function crossCheckIpLocation({ latitude, longitude, clientIp, tenantId }) {
+    const result = {
+        available: false,
+        ipLocation: null,
+        gpsCountry: null,
+        distanceKm: null,
+        flags: [],
+        deduction: 0
+    };
+
+    const ipLocation = await lookupIpLocation(clientIp);
+    if (!ipLocation) {
+        return result;
+    }
+
+    const thresholds = getThresholds(tenantId).geoip;
+    const bands = thresholds.distanceKm;
+    const deductions = thresholds.deductions;
+
+    result.available = true;
+    result.ipLocation = ipLocation;
+    result.gpsCountry = getCountryFromCoordinates(latitude, longitude);
+
+    // Country disagreement
+    if (result.gpsCountry && ipLocation.country && result.gpsCountry !== ipLocation.country.toUpperCase()) {
+        result.flags.push({
+            type: 'fail',
+            message: 'IP country does not match GPS country',
+            explanation: `IP address resolves to ${ipLocation.country} but the reported coordinates are in ${result.gpsCountry}.`
+        });
+        result.deduction += deductions.countryMismatch;
+    }
+
+    // Distance disagreement, allowing for the database's own accuracy radius
+    const rawDistance = haversineDistance(latitude, longitude, ipLocation.latitude, ipLocation.longitude);
+    const distance = Math.max(0, rawDistance - (ipLocation.accuracyRadiusKm || 0));
+    result.distanceKm = Math.round(rawDistance);
+
+    const place = [ipLocation.city, ipLocation.country].filter(Boolean).join(', ') || 'the IP location';
+    if (distance >= bands.extreme) {
+        result.flags.push({
+            type: 'fail',
+            message: 'GPS location is extremely far from IP location',
+            explanation: `Reported coordinates are ${result.distanceKm}km from ${place} (over ${bands.extreme}km).`
+        });
+        result.deduction += deductions.extreme;
+    } else if (distance >= bands.far) {
+        result.flags.push({
+            type: 'warning',
+            message: 'GPS location is far from IP location',
+            explanation: `Reported coordinates are ${result.distanceKm}km from ${place} (over ${bands.far}km).`
+        });
+        result.deduction += deductions.far;
+    } else if (distance >= bands.moderate) {
+        result.flags.push({
+            type: 'warning',
+            message: 'GPS location differs from IP location',
+            explanation: `Reported coordinates are ${result.distanceKm}km from ${place} (over ${bands.moderate}km).`
+        });
+        result.deduction += deductions.moderate;
+    }
+
+    return result;
+}
+
+module.exports = {
+    loadGeoIpDatabase,
+    lookupIpLocation,
+    getCountryFromCoordinates,
+    haversineDistance,
+    crossCheckIpLocation
+};
@@ -0,0 +1,276 @@
+const crypto = require('crypto');
+const { maxRisk, VERDICTS } = require('./assessment');
+const { DEFAULT_TENANT_ID } = require('./tenants');
+const { logger } = require('./logger');
+
+// A live session expires when no detection arrives for this long; finished sessions are kept as long again for late observers
+const LIVE_SESSION_TTL_SECONDS = parseInt(process.env.LIVE_SESSION_TTL_SECONDS, 10) || 600;
+
+// Detections one live session accepts
+const LIVE_SESSION_MAX_DETECTIONS = parseInt(process.env.LIVE_SESSION_MAX_DETECTIONS, 10) || 50;
+
+// Open and recently finished live sessions, kept in memory: sessionId -> session
+const liveSessions = new Map();
+
+const SWEEP_INTERVAL_MS = 30 * 1000;
+
+// Comment lines sent on idle event streams so proxies don't close them
+const LIVE_HEARTBEAT_MS = 15 * 1000;
+
+/**
+ * Start a live session that detections are pushed to one at a time
+ */
+function startLiveSession({ tenantId = DEFAULT_TENANT_ID, accountId, metadata, plannedDetections } = {}) {
+    const now = Date.now();
+    const session = {
+        sessionId: crypto.randomBytes(16).toString('hex'),
+        tenantId,
+        accountId: accountId || null,
+        metadata: metadata || {},
+        plannedDetections: plannedDetections || null,
+        status: 'open',
+        startedAt: now,
+        updatedAt: now,
+        completedAt: null,
+        detections: [],
+        // Challenge nonces answered by the pushed detections, honoured again by /session/store-multi
+        nonces: new Set(),
+        ruleChecks: null,
+        analysis: null,
+        listeners: new Set()
+    };
+
+    liveSessions.set(session.sessionId, session);
+    return session;
+}
+
+/**
+ * A tenant's live session, or null
+ */
+function getLiveSession(sessionId, tenantId = DEFAULT_TENANT_ID) {
+    const session = liveSessions.get(sessionId);
+    return session && session.tenantId === tenantId ? session : null;
+}
+
+/**
+ * A tenant's open live sessions, newest first, optionally for one account
+ */
+function listLiveSessions(tenantId = DEFAULT_TENANT_ID, { accountId } = {}) {
+    return [...liveSessions.values()]
+        .filter(session => session.tenantId === tenantId && session.status === 'open')
+        .filter(session => !accountId || session.accountId === accountId)
+        .sort((a, b) => b.startedAt - a.startedAt)
+        .map(session => liveSessionStatus(session, { detections: false }));
+}
+
+/**
+ * The session's running verdict: the worst verdict of any detection so far,
+ * raised to suspicious when the session rules fail on the detections so far
+ */
+function runningVerdict(session) {
+    if (!session.detections.length) return null;
+
+    const risk = maxRisk(
+        ...session.detections.map(entry => entry.assessment.risk),
+        session.ruleChecks?.hasIssues ? 'MEDIUM' : 'LOW'
+    );
+    return { risk, ...VERDICTS[risk] };
+}
+
+/**
+ * What one detection's assessment contributes to the stream
+ */
+function detectionSummary(entry) {
+    const { assessment } = entry;
+    return {
+        index: entry.index,
+        receivedAt: new Date(entry.receivedAt).toISOString(),
+        verdict: assessment.verdict,
+        risk: assessment.risk,
+        score: assessment.score,
+        action: assessment.action,
+        deviceId: assessment.deviceId,
+        categories: assessment.categories,
+        flags: assessment.flags
+    };
+}
+
+/**
+ * Public view of a live session (detections: false leaves out the per-detection results)
+ */
+function liveSessionStatus(session, { detections = true } = {}) {
+    const verdict = runningVerdict(session);
+    return {
+        sessionId: session.sessionId,
+        accountId: session.accountId,
+        status: session.status,
+        startedAt: new Date(session.startedAt).toISOString(),
+        updatedAt: new Date(session.updatedAt).toISOString(),
+        completedAt: session.completedAt ? new Date(session.completedAt).toISOString() : null,
+        expiresAt: new Date(expiresAt(session)).toISOString(),
+        plannedDetections: session.plannedDetections,
+        detectionCount: session.detections.length,
+        observers: session.listeners.size,
+        metadata: session.metadata,
+        verdict: verdict?.verdict || null,
+        risk: verdict?.risk || null,
+        action: verdict?.action || null,
+        ruleChecks: session.ruleChecks,
+        analysis: session.analysis,
+        ...(detections ? { detections: session.detections.map(detectionSummary) } : {})
+    };
+}
+
+function expiresAt(session) {
+    return (session.completedAt || session.updatedAt) + LIVE_SESSION_TTL_SECONDS * 1000;
+}
+
+/**
+ * Send an event to everyone watching the session. A failing listener doesn't stop the others.
+ */
+function publish(session, event, data) {
+    session.listeners.forEach(listener => {
+        try {
+            listener(event, data);
+        } catch (error) {
+            logger.error('Live session listener error', { sessionId: session.sessionId, event, error });
+        }
+    });
+}
+
+/**
+ * Check that a detection can be pushed to the session. Returns null or { status, error }.
+ */
+function checkAcceptsDetection(session) {
+    if (session.status !== 'open') {
+        return { status: 409, error: `Live session is ${session.status}` };
+    }
+    if (session.detections.length >= LIVE_SESSION_MAX_DETECTIONS) {
+        return { status: 409, error: `Live session already has ${LIVE_SESSION_MAX_DETECTIONS} detections` };
+    }
+    return null;
+}
+
+/**
+ * Add an assessed detection with the session's updated rule checks and consistency analysis,
+ * and publish it as a "detection" event
+ */
+function addLiveDetection(session, { detection, clientIp, nonce, assessment, ruleChecks, analysis }) {
+    const entry = {
+        index: session.detections.length,
+        receivedAt: Date.now(),
+        // Kept so the session can be found when the IP is deleted; never published
+        clientIp: clientIp || null,
+        detection,
+        assessment
+    };
+
+    session.detections.push(entry);
+    if (nonce) session.nonces.add(nonce);
+    session.ruleChecks = ruleChecks;
+    session.analysis = analysis;
+    session.updatedAt = entry.receivedAt;
+
+    const verdict = runningVerdict(session);
+    const update = {
+        sessionId: session.sessionId,
+        detection: detectionSummary(entry),
+        detectionCount: session.detections.length,
+        verdict: verdict.verdict,
+        risk: verdict.risk,
+        action: verdict.action,
+        ruleChecks,
+        analysis
+    };
+
+    publish(session, 'detection', update);
+    return update;
+}
+
+/**
+ * The detections pushed so far, as sent by the browser
+ */
+function liveDetections(session) {
+    return session.detections.map(entry => entry.detection);
+}
+
+/**
+ * Close a session ("completed" when the browser finished, "expired" when it went quiet)
+ * and publish the final state
+ */
+function finishLiveSession(session, status = 'completed') {
+    if (session.status !== 'open') return liveSessionStatus(session);
+
+    session.status = status;
+    session.completedAt = Date.now();
+
+    const final = liveSessionStatus(session);
+    publish(session, status === 'completed' ? 'complete' : 'expired', final);
+    return final;
+}
+
+/**
+ * Watch a session's events: listener(event, data) is called for every "detection",
+ * "complete" and "expired" event. Returns a function that stops watching.
+ */
+function subscribeLiveSession(session, listener) {
+    session.listeners.add(listener);
+    return () => session.listeners.delete(listener);
+}
+
+/**
+ * Close and forget a tenant's live sessions that hold a deleted subject's data: the account's
+ * sessions, sessions with a detection from the device or IP, and the given sessions.
+ * Observers get the "expired" event. Returns the number of sessions forgotten.
+ */
+function forgetLiveSubject(tenantId, { accountId = null, deviceId = null, ips = [], sessionIds = [] }) {
+    let forgotten = 0;
+    liveSessions.forEach((session, sessionId) => {
+        if (session.tenantId !== tenantId) return;
+
+        const holdsSubject = (accountId && session.accountId === accountId) ||
+            sessionIds.includes(sessionId) ||
+            session.detections.some(entry =>
+                (deviceId && entry.assessment.deviceId === deviceId) ||
+                [entry.clientIp, ...(entry.detection.network?.webrtcIps || [])].some(ip => ips.includes(ip)));
+        if (!holdsSubject) return;
+
+        finishLiveSession(session, 'expired');
+        liveSessions.delete(sessionId);
+        forgotten++;
+    });
+    return forgotten;
+}
+
+/**
+ * Expire sessions that went quiet and forget finished ones once they have been kept long enough
+ */
+function sweepLiveSessions() {
+    const now = Date.now();
+    liveSessions.forEach((session, sessionId) => {
+        if (now <= expiresAt(session)) return;
+
+        if (session.status === 'open') {
+            finishLiveSession(session, 'expired');
+        } else {
+            liveSessions.delete(sessionId);
+        }
+    });
+}
+
+// unref() so the sweep never keeps the process alive on its own
+setInterval(sweepLiveSessions, SWEEP_INTERVAL_MS).unref();
+
+module.exports = {
+    startLiveSession,
+    getLiveSession,
+    listLiveSessions,
+    liveSessionStatus,
+    checkAcceptsDetection,
+    addLiveDetection,
+    liveDetections,
+    finishLiveSession,
+    subscribeLiveSession,
+    forgetLiveSubject,
+    LIVE_HEARTBEAT_MS
+};
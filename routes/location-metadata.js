@@ -0,0 +1,117 @@
+const { find: findTimezones } = require('geo-tz');
+const { getCountryFromCoordinates } = require('./geoip');
+
+// geojson-places loads its full admin-1 boundary set on require, so defer it until first use
+let places = null;
+
+function getPlaces() {
+    if (!places) {
+        places = require('geojson-places');
+    }
+    return places;
+}
+
+/**
+ * Resolve coordinates to an IANA timezone, country and first-level region
+ * using bundled offline boundary data
+ */
+function resolveCoordinates(latitude, longitude) {
+    const lat = parseFloat(latitude);
+    const lon = parseFloat(longitude);
+
+    const timezones = findTimezones(lat, lon);
+    const country = getCountryFromCoordinates(lat, lon);
+
+    // Region polygons are coarser than country borders, so drop regions that fall in a neighbouring country
+    let region = null;
+    const place = getPlaces().lookUp(lat, lon);
+    if (place?.state_code && (!country || place.state_code.startsWith(`${country}-`))) {
+        const state = getPlaces().getStateByCode(place.state_code);
+        region = {
+            code: place.state_code,
+            name: state?.state_name || null
+        };
+    }
+
+    return {
+        timezone: timezones[0] || null,
+        timezones,
+        country,
+        countryName: country ? getPlaces().getCountryByAlpha2(country)?.country_name || null : null,
+        region
+    };
+}
+
+/**
+ * Current UTC offset of an IANA timezone in minutes (null if the zone is unknown)
+ */
+function getUtcOffsetMinutes(timeZone, date = new Date()) {
+    try {
+        const offsetName = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'longOffset' })
+            .formatToParts(date)
+            .find(part => part.type === 'timeZoneName').value;
+
+        const match = offsetName.match(/GMT([+-])(\d{2}):(\d{2})/);
+        if (!match) return 0;
+
+        const minutes = parseInt(match[2], 10) * 60 + parseInt(match[3], 10);
+        return match[1] === '-' ? -minutes : minutes;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Compare the browser's Intl timezone with the timezone of the reported coordinates
+ */
+function compareTimezones(browserTimezone, resolved) {
+    const result = {
+        browserTimezone: browserTimezone || null,
+        expectedTimezone: resolved.timezone,
+        match: null,
+        offsetDifferenceMinutes: null,
+        flags: []
+    };
+
+    if (!browserTimezone || !resolved.timezone) {
+        return result;
+    }
+
+    const browserOffset = getUtcOffsetMinutes(browserTimezone);
+    const expectedOffset = getUtcOffsetMinutes(resolved.timezone);
+
+    if (browserOffset === null) {
+        result.match = false;
+        result.flags.push({
+            type: 'warning',
+            message: 'Unknown browser timezone',
+            explanation: `The browser reported "${browserTimezone}", which is not a valid IANA timezone.`
+        });
+        return result;
+    }
+
+    result.offsetDifferenceMinutes = browserOffset - expectedOffset;
+
+    if (resolved.timezones.includes(browserTimezone)) {
+        result.match = true;
+    } else if (result.offsetDifferenceMinutes === 0) {
+        // Different zone name but same local time (e.g. America/Detroit vs America/New_York)
+        result.match = true;
+    } else {
+        result.match = false;
+        const hours = Math.abs(result.offsetDifferenceMinutes) / 60;
+        result.flags.push({
+            type: 'fail',
+            message: 'Timezone does not match location',
+            explanation: `Browser timezone ${browserTimezone} is ${hours}h away from ${resolved.timezone}, the timezone at the reported coordinates${resolved.country ? ` (${resolved.country})` : ''}.`
+        });
+    }
+
+    return result;
+}
+
+module.exports = {
+    resolveCoordinates,
+    compareTimezones,
+    getUtcOffsetMinutes
+};
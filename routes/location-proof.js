@@ -0,0 +1,266 @@
+const crypto = require('crypto');
+const { FileStore } = require('./file-store');
+const { getThresholds } = require('./threshold-config');
+const { haversineDistance } = require('./geoip');
+const { DEFAULT_TENANT_ID } = require('./tenants');
+const { protectRecord } = require('./privacy');
+
+// Completed proofs, so a backend can fetch the server's result instead of trusting the browser
+const proofStore = new FileStore('location-proofs');
+
+// Proofs that have been started: proofId -> { tenantId, intervalsMs, samples, issuedAt, expiresAt, completedAt }
+const pendingProofs = new Map();
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// How long the browser may wait for a position fix, on top of the schedule
+const POSITION_TIMEOUT_MS = 10000;
+
+/**
+ * Start a proof: the number of readings and the random wait before each reading after the first
+ */
+function startProof(tenantId = DEFAULT_TENANT_ID) {
+    const thresholds = getThresholds(tenantId).proofOfLocation;
+    const { min, max } = thresholds.intervalMs;
+
+    const intervalsMs = Array.from({ length: thresholds.samples - 1 }, () => crypto.randomInt(min, max + 1));
+    const scheduleMs = intervalsMs.reduce((sum, interval) => sum + interval, 0);
+    const issuedAt = Date.now();
+    const expiresAt = issuedAt + scheduleMs + thresholds.samples * POSITION_TIMEOUT_MS + thresholds.submitGraceSeconds * 1000;
+    const proofId = `pol_${crypto.randomBytes(16).toString('base64url')}`;
+
+    pendingProofs.set(proofId, {
+        tenantId,
+        intervalsMs,
+        samples: thresholds.samples,
+        issuedAt,
+        expiresAt,
+        completedAt: null
+    });
+
+    return {
+        proofId,
+        samples: thresholds.samples,
+        intervalsMs,
+        positionTimeoutMs: POSITION_TIMEOUT_MS,
+        issuedAt: new Date(issuedAt).toISOString(),
+        expiresAt: new Date(expiresAt).toISOString()
+    };
+}
+
+function isValidSample(sample) {
+    return sample && typeof sample === 'object' &&
+        Number.isFinite(sample.latitude) && Math.abs(sample.latitude) <= 90 &&
+        Number.isFinite(sample.longitude) && Math.abs(sample.longitude) <= 180 &&
+        Number.isFinite(sample.timestamp) &&
+        (sample.accuracy === undefined || sample.accuracy === null || Number.isFinite(sample.accuracy));
+}
+
+function distanceMeters(a, b) {
+    return haversineDistance(a.latitude, a.longitude, b.latitude, b.longitude) * 1000;
+}
+
+function round(value, digits = 1) {
+    const factor = Math.pow(10, digits);
+    return Math.round(value * factor) / factor;
+}
+
+/**
+ * How reported accuracy changed over the readings
+ */
+function accuracyTrend(accuracies) {
+    if (accuracies.length < 2) return null;
+    const steps = accuracies.slice(1).map((value, i) => Math.sign(value - accuracies[i]));
+    if (steps.every(step => step === 0)) return 'constant';
+    if (steps.every(step => step <= 0)) return 'improving';
+    if (steps.every(step => step >= 0)) return 'worsening';
+    return 'fluctuating';
+}
+
+/**
+ * Statistics and flags for a set of readings taken on a schedule.
+ * Real GPS readings jitter by a few meters, change their accuracy as the fix settles,
+ * carry increasing timestamps at least as far apart as requested, and only move as fast as a person can.
+ */
+function analyzeSamples(samples, proof, receivedAt, thresholds) {
+    const flags = [];
+    let deduction = 0;
+
+    const flag = (type, message, explanation, key) => {
+        flags.push({ type, message, explanation });
+        deduction += thresholds.deductions[key];
+    };
+
+    const readings = samples.slice(0, proof.samples);
+    const scheduleMs = proof.intervalsMs.reduce((sum, interval) => sum + interval, 0);
+    const elapsedMs = receivedAt - proof.issuedAt;
+
+    // Centroid and spread of the readings
+    const centroid = {
+        latitude: readings.reduce((sum, s) => sum + s.latitude, 0) / readings.length,
+        longitude: readings.reduce((sum, s) => sum + s.longitude, 0) / readings.length
+    };
+    const offsets = readings.map(sample => distanceMeters(centroid, sample));
+    const jitterMeters = Math.sqrt(offsets.reduce((sum, d) => sum + d * d, 0) / offsets.length);
+    const maxSpreadMeters = Math.max(...offsets);
+
+    const accuracies = readings.map(s => s.accuracy).filter(Number.isFinite);
+
+    // Time between consecutive readings against the requested interval, and the speed implied by their distance
+    const intervals = readings.slice(1).map((sample, i) => {
+        const previous = readings[i];
+        const actualMs = sample.timestamp - previous.timestamp;
+        const movedMeters = Math.max(0, distanceMeters(previous, sample) - (previous.accuracy || 0) - (sample.accuracy || 0));
+        return {
+            requestedMs: proof.intervalsMs[i],
+            actualMs,
+            movedMeters: round(movedMeters),
+            speedKmh: actualMs > 0 ? round(movedMeters / actualMs * 3600) : null
+        };
+    });
+
+    if (readings.length < proof.samples) {
+        flag('fail', 'Fewer readings than requested',
+            `${readings.length} of ${proof.samples} requested readings were sent.`, 'incomplete');
+    }
+
+    if (intervals.some(interval => interval.actualMs <= 0)) {
+        flag('fail', 'Reading timestamps are not increasing',
+            'Each reading must be newer than the previous one; repeated or out-of-order timestamps point to replayed or generated readings.', 'nonMonotonic');
+    }
+
+    const early = intervals.filter(interval => interval.actualMs > 0 &&
+        interval.actualMs < interval.requestedMs - thresholds.timingToleranceMs);
+    const submittedEarly = elapsedMs < scheduleMs - thresholds.timingToleranceMs;
+    if (early.length || submittedEarly) {
+        flag('fail', 'Readings delivered faster than requested',
+            submittedEarly
+                ? `The readings arrived ${round(elapsedMs / 1000)}s after the proof started, but the schedule takes ${round(scheduleMs / 1000)}s.`
+                : `${early.length} of ${intervals.length} readings came sooner after the previous one than the requested interval.`,
+            'tooFast');
+    }
+
+    const identical = readings.length > 1 && readings.every(s =>
+        s.latitude === readings[0].latitude &&
+        s.longitude === readings[0].longitude &&
+        s.accuracy === readings[0].accuracy);
+    if (identical) {
+        flag('fail', 'Identical readings',
+            `All ${readings.length} readings have exactly the same coordinates and accuracy. Real GPS readings jitter between fixes.`, 'identical');
+    } else if (readings.length > 1 && jitterMeters < thresholds.minJitterMeters) {
+        flag('warning', 'No natural GPS jitter',
+            `Readings vary by ${round(jitterMeters, 2)}m on average, less than the ${thresholds.minJitterMeters}m expected from real GPS noise.`, 'noJitter');
+    }
+
+    if (!identical && accuracies.length === readings.length && accuracyTrend(accuracies) === 'constant') {
+        flag('warning', 'Accuracy never changes',
+            `Every reading reports ±${accuracies[0]}m while the coordinates move. Real fixes report a changing accuracy.`, 'constantAccuracy');
+    }
+
+    const fastest = intervals.reduce((max, interval) => Math.max(max, interval.speedKmh || 0), 0);
+    if (fastest > thresholds.maxSpeedKmh) {
+        flag('fail', 'Implausible movement between readings',
+            `Readings moved at up to ${fastest}km/h beyond their accuracy, faster than the ${thresholds.maxSpeedKmh}km/h expected within a few seconds.`, 'implausibleMovement');
+    }
+
+    return {
+        flags,
+        deduction,
+        statistics: {
+            sampleCount: readings.length,
+            requestedSamples: proof.samples,
+            centroid,
+            jitterMeters: round(jitterMeters, 2),
+            maxSpreadMeters: round(maxSpreadMeters, 2),
+            accuracy: accuracies.length ? {
+                first: accuracies[0],
+                last: accuracies[accuracies.length - 1],
+                min: Math.min(...accuracies),
+                max: Math.max(...accuracies),
+                trend: accuracyTrend(accuracies)
+            } : null,
+            intervals,
+            scheduleMs,
+            elapsedMs,
+            maxSpeedKmh: fastest
+        }
+    };
+}
+
+/**
+ * Check the readings sent for a proof. Each proof can be completed once.
+ * Returns { error, reason } when the proof or the readings are not acceptable, else the result.
+ */
+function completeProof(proofId, samples, { tenantId = DEFAULT_TENANT_ID, accountId } = {}) {
+    const proof = pendingProofs.get(proofId);
+    const receivedAt = Date.now();
+
+    if (!proof || proof.tenantId !== tenantId) {
+        return { error: 'Proof not found', reason: 'unknown' };
+    }
+    if (proof.completedAt) {
+        return { error: 'Proof already completed', reason: 'used' };
+    }
+    if (receivedAt > proof.expiresAt) {
+        return { error: 'Proof expired', reason: 'expired' };
+    }
+    if (!Array.isArray(samples) || samples.length === 0 || !samples.every(isValidSample)) {
+        return { error: 'Samples must be readings with numeric latitude, longitude and timestamp', reason: 'invalid' };
+    }
+
+    proof.completedAt = receivedAt;
+
+    const thresholds = getThresholds(tenantId);
+    const analysis = analyzeSamples(samples, proof, receivedAt, thresholds.proofOfLocation);
+    const score = Math.max(0, 100 - analysis.deduction);
+
+    let status = 'authentic';
+    if (score < thresholds.location.score.likelySpoofed) status = 'likely_spoofed';
+    else if (score < thresholds.location.score.suspicious) status = 'suspicious';
+
+    const result = {
+        proofId,
+        status,
+        score,
+        flags: analysis.flags,
+        statistics: analysis.statistics,
+        accountId: accountId || null,
+        completedAt: new Date(receivedAt).toISOString()
+    };
+
+    proofStore.append(protectRecord({ tenantId, ...result }, tenantId));
+
+    return result;
+}
+
+/**
+ * Stored result of a completed proof, or null
+ */
+function getProofResult(proofId, tenantId = DEFAULT_TENANT_ID) {
+    const record = proofStore.find(r => r.proofId === proofId && r.tenantId === tenantId);
+    if (!record) return null;
+
+    const { tenantId: _tenantId, ...result } = record;
+    return result;
+}
+
+/**
+ * Forget proofs once they can no longer be completed
+ */
+function sweepProofs() {
+    const now = Date.now();
+    pendingProofs.forEach((proof, proofId) => {
+        if (now > proof.expiresAt) {
+            pendingProofs.delete(proofId);
+        }
+    });
+}
+
+// unref() so the sweep never keeps the process alive on its own
+setInterval(sweepProofs, SWEEP_INTERVAL_MS).unref();
+
+module.exports = {
+    startProof,
+    completeProof,
+    getProofResult
+};
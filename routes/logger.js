@@ -0,0 +1,211 @@
+const crypto = require('crypto');
+const net = require('net');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Lowest level that is written (debug, info, warn or error)
+const LOG_LEVEL = LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : 'info';
+
+// What gets redacted from logged fields: any of coordinates, ips, headers (or "none")
+const REDACT = new Set((process.env.LOG_REDACT || 'coordinates,ips,headers')
+    .split(',').map(item => item.trim().toLowerCase()).filter(Boolean));
+
+// Decimal places kept when coordinates are redacted (1 decimal is roughly 11km)
+const COORDINATE_DECIMALS = Number.isInteger(parseInt(process.env.LOG_COORDINATE_DECIMALS, 10))
+    ? parseInt(process.env.LOG_COORDINATE_DECIMALS, 10)
+    : 1;
+
+// Header values replaced with [REDACTED]
+const REDACTED_HEADERS = new Set((process.env.LOG_REDACT_HEADERS ||
+    'authorization,proxy-authorization,cookie,set-cookie,x-api-key,x-admin-key')
+    .split(',').map(item => item.trim().toLowerCase()).filter(Boolean));
+
+// Field names (lower case) that hold coordinates or IP addresses
+const COORDINATE_KEYS = new Set(['latitude', 'longitude', 'lat', 'lon', 'lng']);
+const IP_KEYS = new Set(['ip', 'ips', 'clientip', 'ipaddress', 'remoteaddress', 'webrtcips', 'x-forwarded-for', 'x-real-ip']);
+
+const MAX_DEPTH = 8;
+
+// Per-request context (requestId, tenantId) that follows the request through async calls
+const requestContext = new AsyncLocalStorage();
+
+/**
+ * Truncate an IP address to its network: the last IPv4 octet and all but the first 48 bits of IPv6 are zeroed
+ */
+function truncateIp(ip) {
+    if (typeof ip !== 'string') return ip;
+    const address = ip.trim().replace(/^::ffff:/i, '');
+
+    if (net.isIPv4(address)) {
+        return address.split('.').slice(0, 3).concat('0').join('.');
+    }
+    if (net.isIPv6(address)) {
+        const [head] = address.split('::');
+        const groups = head ? head.split(':') : [];
+        while (groups.length < 3) groups.push('0');
+        return `${groups.slice(0, 3).join(':')}::`;
+    }
+    return '[REDACTED]';
+}
+
+function redactIps(value) {
+    if (Array.isArray(value)) return value.map(redactIps);
+    if (typeof value !== 'string') return value;
+    return value.split(',').map(truncateIp).join(', ');
+}
+
+function redactCoordinate(value) {
+    const number = typeof value === 'string' ? parseFloat(value) : value;
+    if (!Number.isFinite(number)) return value;
+    const factor = Math.pow(10, COORDINATE_DECIMALS);
+    return Math.round(number * factor) / factor;
+}
+
+function redactHeaders(headers) {
+    if (!headers || typeof headers !== 'object') return headers;
+    return Object.fromEntries(Object.entries(headers).map(([name, value]) => [
+        name,
+        REDACTED_HEADERS.has(name.toLowerCase()) ? '[REDACTED]' : redact(value, name)
+    ]));
+}
+
+function serializeError(error) {
+    return {
+        name: error.name,
+        message: error.message,
+        ...(error.code ? { code: error.code } : {}),
+        ...(error.response?.status ? { status: error.response.status } : {}),
+        stack: error.stack
+    };
+}
+
+/**
+ * Copy of a value with coordinates, IPs and sensitive headers redacted according to LOG_REDACT
+ */
+function redact(value, key = '', depth = 0) {
+    const name = key.toLowerCase();
+
+    if (value instanceof Error) return serializeError(value);
+    if (value === null || value === undefined) return value;
+
+    if (REDACT.has('coordinates') && COORDINATE_KEYS.has(name)) return redactCoordinate(value);
+    if (REDACT.has('ips') && IP_KEYS.has(name)) return redactIps(value);
+    if (REDACT.has('headers') && name === 'headers') return redactHeaders(value);
+
+    if (typeof value !== 'object') return value;
+    if (depth >= MAX_DEPTH) return '[Truncated]';
+    if (Array.isArray(value)) return value.map(item => redact(item, '', depth + 1));
+
+    return Object.fromEntries(Object.entries(value).map(([childKey, childValue]) =>
+        [childKey, redact(childValue, childKey, depth + 1)]));
+}
+
+function write(level, bindings, message, fields = {}) {
+    if (LEVELS[level] < LEVELS[LOG_LEVEL]) return;
+
+    const context = requestContext.getStore() || {};
+    const entry = {
+        time: new Date().toISOString(),
+        level,
+        msg: message,
+        ...(context.requestId ? { requestId: context.requestId } : {}),
+        ...(context.tenantId ? { tenantId: context.tenantId } : {}),
+        ...redact({ ...bindings, ...fields })
+    };
+
+    let line;
+    try {
+        line = JSON.stringify(entry);
+    } catch (error) {
+        line = JSON.stringify({ time: entry.time, level, msg: message, logError: error.message });
+    }
+
+    (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(line + '\n');
+}
+
+/**
+ * Logger with fixed fields added to every entry (e.g. { component: 'vpn' })
+ */
+function createLogger(bindings = {}) {
+    return {
+        debug: (message, fields) => write('debug', bindings, message, fields),
+        info: (message, fields) => write('info', bindings, message, fields),
+        warn: (message, fields) => write('warn', bindings, message, fields),
+        error: (message, fields) => write('error', bindings, message, fields)
+    };
+}
+
+const logger = createLogger();
+
+/**
+ * Path logged for a request: the matched route pattern (/api/vpn/check/:ip) so path parameters are never logged,
+ * or when no route matched, the path with IP addresses in its segments redacted like IP fields
+ */
+function requestPath(req) {
+    if (req.route) {
+        return req.baseUrl + req.route.path;
+    }
+
+    const path = req.originalUrl.split('?')[0];
+    if (!REDACT.has('ips')) return path;
+
+    return path.split('/').map(segment => {
+        let decoded;
+        try {
+            decoded = decodeURIComponent(segment);
+        } catch {
+            return segment;
+        }
+        return net.isIP(decoded.replace(/^::ffff:/i, '')) ? truncateIp(decoded) : segment;
+    }).join('/');
+}
+
+/**
+ * Give each request an ID (the caller's X-Request-ID when it is sensible, else a new one),
+ * echo it in the response, and write one access log entry when the response finishes
+ */
+function requestLogger(req, res, next) {
+    const incoming = req.get('X-Request-ID');
+    const requestId = incoming && /^[\w.:-]{1,128}$/.test(incoming) ? incoming : crypto.randomUUID();
+    const startedAt = process.hrtime.bigint();
+    const context = { requestId, tenantId: null };
+
+    req.id = requestId;
+    res.set('X-Request-ID', requestId);
+
+    res.on('finish', () => {
+        const durationMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+        const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+        requestContext.run({ requestId, tenantId: req.tenant?.id || null }, () => {
+            logger[level]('Request completed', {
+                method: req.method,
+                path: requestPath(req),
+                query: Object.keys(req.query || {}).length ? req.query : undefined,
+                status: res.statusCode,
+                durationMs: Math.round(durationMs * 10) / 10,
+                ip: req.ip,
+                userAgent: req.get('User-Agent')
+            });
+        });
+    });
+
+    requestContext.run(context, next);
+}
+
+/**
+ * Record the authenticated tenant on the current request's log context
+ */
+function setLogTenant(tenantId) {
+    const context = requestContext.getStore();
+    if (context) context.tenantId = tenantId;
+}
+
+module.exports = {
+    logger,
+    createLogger,
+    requestLogger,
+    setLogTenant,
+    redact,
+    truncateIp
+};
@@ -0,0 +1,175 @@
+const crypto = require('crypto');
+const client = require('prom-client');
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register, prefix: 'geo_spoofer_' });
+
+// Latency buckets in seconds, from fast in-process checks up to the 5s provider timeout and slow LLM calls
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const httpRequests = new client.Counter({
+    name: 'geo_spoofer_http_requests_total',
+    help: 'HTTP requests by method, route and status code',
+    labelNames: ['method', 'route', 'status'],
+    registers: [register]
+});
+
+const httpDuration = new client.Histogram({
+    name: 'geo_spoofer_http_request_duration_seconds',
+    help: 'HTTP request latency by method and route',
+    labelNames: ['method', 'route'],
+    buckets: LATENCY_BUCKETS,
+    registers: [register]
+});
+
+const verdicts = new client.Counter({
+    name: 'geo_spoofer_verdicts_total',
+    help: 'Verdicts returned, by endpoint, status and risk level',
+    labelNames: ['source', 'status', 'risk'],
+    registers: [register]
+});
+
+const flags = new client.Counter({
+    name: 'geo_spoofer_flags_total',
+    help: 'Detection flags raised, by endpoint, type and message',
+    labelNames: ['source', 'type', 'message'],
+    registers: [register]
+});
+
+const vpnProviderRequests = new client.Counter({
+    name: 'geo_spoofer_vpn_provider_requests_total',
+    help: 'VPN detection provider calls by provider and outcome (success or error)',
+    labelNames: ['provider', 'outcome'],
+    registers: [register]
+});
+
+const vpnProviderDuration = new client.Histogram({
+    name: 'geo_spoofer_vpn_provider_duration_seconds',
+    help: 'VPN detection provider call latency',
+    labelNames: ['provider'],
+    buckets: LATENCY_BUCKETS,
+    registers: [register]
+});
+
+const geminiRequests = new client.Counter({
+    name: 'geo_spoofer_gemini_requests_total',
+    help: 'Gemini calls by operation (embedding or llm) and outcome',
+    labelNames: ['operation', 'outcome'],
+    registers: [register]
+});
+
+const geminiDuration = new client.Histogram({
+    name: 'geo_spoofer_gemini_duration_seconds',
+    help: 'Gemini call latency by operation',
+    labelNames: ['operation'],
+    buckets: LATENCY_BUCKETS,
+    registers: [register]
+});
+
+const qdrantOperations = new client.Counter({
+    name: 'geo_spoofer_qdrant_operations_total',
+    help: 'Qdrant operations by operation and outcome',
+    labelNames: ['operation', 'outcome'],
+    registers: [register]
+});
+
+const qdrantDuration = new client.Histogram({
+    name: 'geo_spoofer_qdrant_operation_duration_seconds',
+    help: 'Qdrant operation latency by operation',
+    labelNames: ['operation'],
+    buckets: LATENCY_BUCKETS,
+    registers: [register]
+});
+
+/**
+ * Count requests and their latency per route template (/api/sessions/:sessionId, not each session ID).
+ * Requests that no route handled (static files, 404s) are grouped as "other".
+ */
+function metricsMiddleware(req, res, next) {
+    const endTimer = httpDuration.startTimer();
+
+    res.on('finish', () => {
+        const route = req.route ? req.baseUrl + req.route.path : 'other';
+        endTimer({ method: req.method, route });
+        httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    });
+
+    next();
+}
+
+/**
+ * Serve the registry in Prometheus text format.
+ * When METRICS_TOKEN is set, scrapers must send it as a bearer token.
+ */
+async function metricsHandler(req, res) {
+    const token = process.env.METRICS_TOKEN;
+    if (token) {
+        const provided = Buffer.from(String(req.headers.authorization || ''));
+        const expected = Buffer.from(`Bearer ${token}`);
+        if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+            return res.status(401).json({ error: 'Invalid metrics token' });
+        }
+    }
+
+    try {
+        res.set('Content-Type', register.contentType);
+        res.send(await register.metrics());
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to collect metrics' });
+    }
+}
+
+/**
+ * Time an async operation into a latency histogram and count its outcome
+ */
+async function observe(histogram, counter, labels, operation) {
+    const endTimer = histogram.startTimer(labels);
+    try {
+        const result = await operation();
+        counter.inc({ ...labels, outcome: 'success' });
+        return result;
+    } catch (error) {
+        counter.inc({ ...labels, outcome: 'error' });
+        throw error;
+    } finally {
+        endTimer();
+    }
+}
+
+function observeGemini(operation, call) {
+    return observe(geminiDuration, geminiRequests, { operation }, call);
+}
+
+function observeQdrant(operation, call) {
+    return observe(qdrantDuration, qdrantOperations, { operation }, call);
+}
+
+function recordVpnProviderCall(provider, outcome, durationMs) {
+    vpnProviderRequests.inc({ provider, outcome });
+    vpnProviderDuration.observe({ provider }, durationMs / 1000);
+}
+
+/**
+ * Count a verdict and the flags behind it. Numbers in flag messages
+ * ("12 sessions from this IP in 1h") are replaced with N to keep the label set small.
+ */
+function recordVerdict(source, { status, risk, flags: raised = [] }) {
+    verdicts.inc({ source, status: status || 'unknown', risk: risk || 'none' });
+
+    raised.forEach(flag => {
+        flags.inc({
+            source,
+            type: flag.type || 'unknown',
+            message: String(flag.message || '').replace(/\d+(\.\d+)?/g, 'N')
+        });
+    });
+}
+
+module.exports = {
+    metricsMiddleware,
+    metricsHandler,
+    observeGemini,
+    observeQdrant,
+    recordVpnProviderCall,
+    recordVerdict
+};
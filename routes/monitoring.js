@@ -0,0 +1,587 @@
+const crypto = require('crypto');
+const { WebSocketServer } = require('ws');
+const { verifyLocation, analyzeEnvironment, maxRisk, VERDICTS } = require('./assessment');
+const { getThresholds } = require('./threshold-config');
+const { resolveCoordinates, compareTimezones } = require('./location-metadata');
+const { haversineDistance } = require('./geoip');
+const { resolveDeviceId, recordDeviceSession, diffAttributes } = require('./devices');
+const { issueChallenge, consumeChallenge, CHALLENGE_REQUIRED } = require('./challenges');
+const { isValidAccountId } = require('./travel');
+const { DEFAULT_TENANT_ID, isAuthEnabled, findTenantByApiKey, getTenant } = require('./tenants');
+const { getApiKey, getClientIp } = require('./auth');
+const { emitWebhookEvent } = require('./webhooks');
+const { recordVerdict } = require('./metrics');
+const { logger } = require('./logger');
+
+// WebSocket path clients connect to
+const MONITOR_PATH = '/api/monitor';
+
+// A monitor without checks for this long is closed and forgotten; until then a dropped client can resume it
+const MONITOR_IDLE_TIMEOUT_SECONDS = parseInt(process.env.MONITOR_IDLE_TIMEOUT_SECONDS, 10) || 600;
+
+// Time a new connection has to send its "start" message
+const START_TIMEOUT_MS = 10 * 1000;
+
+// Sockets that miss a ping for this long are terminated
+const PING_INTERVAL_MS = 30 * 1000;
+
+const SWEEP_INTERVAL_MS = 30 * 1000;
+
+// Largest message accepted from a client
+const MAX_MESSAGE_BYTES = 64 * 1024;
+
+// Close codes sent to clients (4000-4999 are application codes)
+const CLOSE_CODES = {
+    unauthorized: 4401,
+    notFound: 4404,
+    timeout: 4408,
+    replaced: 4409,
+    deleted: 4410
+};
+
+// Monitors kept in memory: monitorId -> monitor
+const monitors = new Map();
+
+function hasCoordinates(location) {
+    return typeof location?.latitude === 'number' && typeof location?.longitude === 'number';
+}
+
+function riskForScore(score, thresholds) {
+    if (score < thresholds.riskAssessment.averageScore.high) return 'HIGH';
+    if (score < thresholds.riskAssessment.averageScore.medium) return 'MEDIUM';
+    return 'LOW';
+}
+
+/**
+ * Start monitoring a client. The first located check also runs the account's travel check
+ * and may send the likely_spoofed webhook; later checks compare against the monitor's own history.
+ */
+function createMonitor({ tenantId = DEFAULT_TENANT_ID, accountId, metadata, clientIp }) {
+    const now = Date.now();
+    const monitor = {
+        monitorId: crypto.randomBytes(16).toString('hex'),
+        tenantId,
+        accountId: accountId || null,
+        metadata: metadata || {},
+        startedAt: now,
+        updatedAt: now,
+        lastCheckAt: null,
+        checkCount: 0,
+        clientIp,
+        deviceId: null,
+        // What the previous check saw, for change detection
+        previous: { clientIp, attributes: null, timezone: null, position: null },
+        // VPN result for the connection IP, so providers are queried once per IP
+        network: null,
+        // Checks within the rolling window
+        checks: [],
+        risk: null,
+        socket: null,
+        // Checks of one monitor are scored one at a time
+        queue: Promise.resolve()
+    };
+
+    monitors.set(monitor.monitorId, monitor);
+    return monitor;
+}
+
+/**
+ * A tenant's monitor, or null
+ */
+function getMonitor(monitorId, tenantId = DEFAULT_TENANT_ID) {
+    const monitor = monitors.get(monitorId);
+    return monitor && monitor.tenantId === tenantId ? monitor : null;
+}
+
+/**
+ * The rolling state: the worst check within the window decides the risk
+ */
+function rollingState(monitor) {
+    if (!monitor.checks.length) {
+        return { risk: null, verdict: null, action: null, score: null, flags: [] };
+    }
+
+    const worst = monitor.checks.reduce((min, check) => check.score < min.score ? check : min);
+    const risk = maxRisk(...monitor.checks.map(check => check.risk));
+    return {
+        risk,
+        verdict: VERDICTS[risk].verdict,
+        action: VERDICTS[risk].action,
+        score: worst.score,
+        flags: worst.flags
+    };
+}
+
+/**
+ * Public view of a monitor
+ */
+function monitorStatus(monitor) {
+    return {
+        monitorId: monitor.monitorId,
+        accountId: monitor.accountId,
+        connected: Boolean(monitor.socket),
+        startedAt: new Date(monitor.startedAt).toISOString(),
+        lastCheckAt: monitor.lastCheckAt ? new Date(monitor.lastCheckAt).toISOString() : null,
+        checkCount: monitor.checkCount,
+        deviceId: monitor.deviceId,
+        metadata: monitor.metadata,
+        ...rollingState(monitor)
+    };
+}
+
+/**
+ * A tenant's monitors, most recently checked first, optionally for one account
+ */
+function listMonitors(tenantId = DEFAULT_TENANT_ID, { accountId } = {}) {
+    return [...monitors.values()]
+        .filter(monitor => monitor.tenantId === tenantId)
+        .filter(monitor => !accountId || monitor.accountId === accountId)
+        .sort((a, b) => b.updatedAt - a.updatedAt)
+        .map(monitorStatus);
+}
+
+/**
+ * Score one periodic check: location and environment are scored as in /api/assess, then
+ * changes since the previous check (environment, device, timezone, IP, movement) are deducted
+ */
+async function scoreCheck(monitor, check, nonce) {
+    const thresholds = getThresholds(monitor.tenantId);
+    const deductions = thresholds.monitoring.deductions;
+    const { location, environment } = check;
+    const { previous } = monitor;
+    const first = monitor.checkCount === 0;
+    const now = Date.now();
+
+    const flags = [];
+    const scores = [];
+    let deduction = 0;
+    let locationStatus = null;
+    const addFlags = (category, categoryFlags = []) => {
+        categoryFlags.forEach(flag => flags.push({ ...flag, category }));
+    };
+    const addChange = (message, explanation, points) => {
+        flags.push({ type: 'warning', message, explanation, category: 'monitoring' });
+        deduction += points;
+    };
+
+    // Environment, and drift from the previous check's environment
+    let attributes = null;
+    if (environment) {
+        const environmentResult = analyzeEnvironment(environment, monitor.tenantId);
+        scores.push(environmentResult.score);
+        addFlags('environment', environmentResult.flags);
+
+        const device = resolveDeviceId(environment, monitor.tenantId);
+        attributes = device.attributes;
+
+        if (device.deviceId && !monitor.deviceId) {
+            monitor.deviceId = device.deviceId;
+            recordDeviceSession({ ...device, sessionId: monitor.monitorId, accountId: monitor.accountId, tenantId: monitor.tenantId });
+        } else if (device.deviceId && device.deviceId !== monitor.deviceId) {
+            addChange('Device changed during monitoring',
+                'The environment now matches a different device than at the start of monitoring.',
+                deductions.deviceChanged);
+        } else if (previous.attributes) {
+            // Only attributes both checks collected; the timezone is checked on its own below
+            const changes = diffAttributes(previous.attributes, attributes)
+                .filter(change => change.attribute !== 'timezone' && change.from !== null && change.to !== null);
+            if (changes.length) {
+                addChange('Environment changed during monitoring',
+                    `Changed since the previous check: ${changes.map(change => change.attribute).join(', ')}.`,
+                    deductions.environmentDrift);
+            }
+        }
+
+        if (environment.timezone && previous.timezone && environment.timezone !== previous.timezone) {
+            addChange('Timezone changed during monitoring',
+                `The browser timezone changed from ${previous.timezone} to ${environment.timezone}.`,
+                deductions.timezoneChanged);
+        }
+    }
+
+    // The connection IP changes when a client resumes the monitor from another network
+    if (!first && previous.clientIp && monitor.clientIp !== previous.clientIp) {
+        addChange('IP address changed during monitoring',
+            'The client reconnected from a different IP address.',
+            deductions.ipChanged);
+    }
+
+    // Location, the timezone cross-check and movement since the previous reading
+    if (hasCoordinates(location)) {
+        const timestamp = typeof location.timestamp === 'string'
+            ? Date.parse(location.timestamp)
+            : location.timestamp || now;
+        const sameNetwork = monitor.network && monitor.network.ip === monitor.clientIp;
+        const firstLocated = !previous.position;
+
+        const locationResult = await verifyLocation({
+            latitude: location.latitude,
+            longitude: location.longitude,
+            accuracy: location.accuracy,
+            timestamp,
+            clientIp: monitor.clientIp,
+            userAgent: environment?.userAgent || null,
+            tenantId: monitor.tenantId,
+            // Travel is checked once against the account's previous session, not on every check
+            accountId: firstLocated ? monitor.accountId || undefined : undefined,
+            deviceId: monitor.deviceId,
+            sessionId: monitor.monitorId,
+            nonce,
+            vpnResults: sameNetwork ? monitor.network.vpnResults : undefined,
+            notify: firstLocated
+        });
+        if (locationResult.analysis.vpnDetection) {
+            monitor.network = { ip: monitor.clientIp, vpnResults: locationResult.analysis.vpnDetection };
+        }
+
+        let score = locationResult.score;
+        const timezone = environment?.timezone || previous.timezone;
+        const timezoneFlags = compareTimezones(timezone, resolveCoordinates(location.latitude, location.longitude)).flags;
+        timezoneFlags.forEach(flag => {
+            score -= flag.type === 'fail'
+                ? thresholds.scoring.deductions.locationFail
+                : thresholds.scoring.deductions.locationWarning;
+        });
+
+        locationStatus = 'authentic';
+        if (score < thresholds.location.score.likelySpoofed) locationStatus = 'likely_spoofed';
+        else if (score < thresholds.location.score.suspicious) locationStatus = 'suspicious';
+
+        scores.push(score);
+        addFlags('location', locationResult.flags);
+        addFlags('location', timezoneFlags);
+
+        // Movement is timed by when the server received the readings: client timestamps can be
+        // held back or spread out to hide a jump
+        const position = { latitude: location.latitude, longitude: location.longitude, accuracy: location.accuracy || 0, receivedAt: now };
+        if (previous.position && now > previous.position.receivedAt) {
+            // Reduced by both readings' accuracy so GPS jitter is not counted as movement
+            const distanceKm = Math.max(0, haversineDistance(
+                previous.position.latitude, previous.position.longitude, position.latitude, position.longitude
+            ) - (previous.position.accuracy + position.accuracy) / 1000);
+            const hours = (now - previous.position.receivedAt) / 3600000;
+            const speedKmh = distanceKm / hours;
+
+            if (speedKmh > thresholds.monitoring.maxSpeedKmh) {
+                addChange('Implausible movement during monitoring',
+                    `Moved ${distanceKm.toFixed(1)} km in ${Math.round(hours * 3600)}s (${Math.round(speedKmh)} km/h, limit ${thresholds.monitoring.maxSpeedKmh} km/h).`,
+                    deductions.implausibleMovement);
+            }
+        }
+        previous.position = position;
+    }
+
+    if (attributes) previous.attributes = attributes;
+    if (environment?.timezone) previous.timezone = environment.timezone;
+    previous.clientIp = monitor.clientIp;
+
+    // Average of the location and environment scores, as in /api/assess, less the change deductions
+    const average = Math.round(scores.reduce((sum, value) => sum + value, 0) / scores.length);
+    const score = Math.max(0, average - deduction);
+    const risk = maxRisk(
+        riskForScore(score, thresholds),
+        locationStatus === 'likely_spoofed' ? 'HIGH' : 'LOW',
+        locationStatus === 'suspicious' ? 'MEDIUM' : 'LOW'
+    );
+
+    return { score, risk, flags };
+}
+
+function send(socket, message) {
+    if (socket && socket.readyState === socket.OPEN) {
+        socket.send(JSON.stringify(message));
+    }
+}
+
+/**
+ * Score a check, update the rolling window and tell the client (and webhooks) when the risk level changes
+ */
+async function handleCheck(monitor, socket, message) {
+    const thresholds = getThresholds(monitor.tenantId);
+    const now = Date.now();
+
+    // Clients check every checkIntervalSeconds; allow some slack but not a flood
+    const minGapMs = thresholds.monitoring.checkIntervalSeconds * 500;
+    if (monitor.lastCheckAt && now - monitor.lastCheckAt < minGapMs) {
+        return send(socket, {
+            type: 'error',
+            error: 'Too many checks',
+            message: `Send at most one check every ${thresholds.monitoring.checkIntervalSeconds / 2} seconds`
+        });
+    }
+
+    if (!hasCoordinates(message.location) && !message.environment) {
+        return send(socket, { type: 'error', error: 'A check needs location or environment data' });
+    }
+
+    // Each check answers the nonce sent with the previous server message
+    let nonce = null;
+    if (message.nonce !== undefined || CHALLENGE_REQUIRED) {
+        const challenge = consumeChallenge(message.nonce, monitor.tenantId);
+        if (!challenge.valid) {
+            return send(socket, {
+                type: 'error',
+                error: challenge.reason === 'missing' ? 'Challenge nonce required' : 'Invalid challenge nonce',
+                reason: challenge.reason,
+                message: challenge.message,
+                nonce: issueChallenge(monitor.tenantId).nonce
+            });
+        }
+        nonce = challenge.nonce;
+    }
+
+    const result = await scoreCheck(monitor, message, nonce);
+    monitor.checkCount++;
+    monitor.lastCheckAt = now;
+    monitor.updatedAt = now;
+
+    const windowStart = now - thresholds.monitoring.windowSeconds * 1000;
+    monitor.checks = monitor.checks.filter(check => check.at > windowStart);
+    monitor.checks.push({ checkId: monitor.checkCount, at: now, ...result });
+
+    recordVerdict('monitor', { status: VERDICTS[result.risk].verdict, risk: result.risk, flags: result.flags });
+
+    const state = rollingState(monitor);
+    send(socket, {
+        type: 'check_result',
+        checkId: monitor.checkCount,
+        score: result.score,
+        risk: result.risk,
+        flags: result.flags,
+        state: { risk: state.risk, verdict: state.verdict, action: state.action, score: state.score },
+        nonce: issueChallenge(monitor.tenantId).nonce
+    });
+
+    if (state.risk !== monitor.risk) {
+        const change = {
+            monitorId: monitor.monitorId,
+            accountId: monitor.accountId,
+            previousRisk: monitor.risk,
+            ...state,
+            changedAt: new Date(now).toISOString()
+        };
+        monitor.risk = state.risk;
+        send(socket, { type: 'risk_changed', ...change });
+
+        // A monitor starting out at LOW is not news for backends
+        if (change.previousRisk !== null || change.risk !== 'LOW') {
+            emitWebhookEvent(monitor.tenantId, 'monitor.risk_changed', change);
+        }
+    }
+}
+
+/**
+ * Handle the "start" message: authenticate (if the upgrade request carried no key),
+ * then create a monitor or resume one by monitorId
+ */
+function handleStart(socket, context, message) {
+    let tenant = context.tenant;
+    if (!tenant) {
+        tenant = message.apiKey ? findTenantByApiKey(message.apiKey) : null;
+        if (!tenant) {
+            send(socket, { type: 'error', error: message.apiKey ? 'Invalid API key' : 'API key required' });
+            return socket.close(CLOSE_CODES.unauthorized, 'Unauthorized');
+        }
+    }
+
+    if (message.accountId !== undefined && !isValidAccountId(message.accountId)) {
+        send(socket, { type: 'error', error: 'accountId must be a non-empty string of at most 256 characters' });
+        return socket.close(1008, 'Invalid start message');
+    }
+
+    let monitor;
+    if (message.monitorId) {
+        monitor = getMonitor(message.monitorId, tenant.id);
+        if (!monitor) {
+            send(socket, { type: 'error', error: 'Monitor not found' });
+            return socket.close(CLOSE_CODES.notFound, 'Monitor not found');
+        }
+        if (monitor.socket) {
+            monitor.socket.close(CLOSE_CODES.replaced, 'Replaced by a new connection');
+        }
+        monitor.clientIp = context.clientIp;
+    } else {
+        monitor = createMonitor({
+            tenantId: tenant.id,
+            accountId: message.accountId,
+            metadata: message.metadata,
+            clientIp: context.clientIp
+        });
+    }
+
+    monitor.socket = socket;
+    context.monitor = monitor;
+
+    const thresholds = getThresholds(monitor.tenantId);
+    logger.info('Monitor connected', { monitorId: monitor.monitorId, resumed: Boolean(message.monitorId) });
+    send(socket, {
+        type: 'started',
+        monitorId: monitor.monitorId,
+        resumed: Boolean(message.monitorId),
+        checkIntervalSeconds: thresholds.monitoring.checkIntervalSeconds,
+        windowSeconds: thresholds.monitoring.windowSeconds,
+        state: rollingState(monitor),
+        nonce: issueChallenge(monitor.tenantId).nonce
+    });
+}
+
+/**
+ * End a monitor for good ("stop" from the client)
+ */
+function stopMonitor(monitor) {
+    monitors.delete(monitor.monitorId);
+    logger.info('Monitor stopped', { monitorId: monitor.monitorId, checks: monitor.checkCount });
+}
+
+/**
+ * Close and forget a tenant's monitors that hold a deleted subject's data: the account's monitors,
+ * monitors that saw the device or IP, and the given monitors (their IDs are the sessions recorded
+ * in device history). Returns the number of monitors forgotten.
+ */
+function forgetMonitorSubject(tenantId, { accountId = null, deviceId = null, ips = [], sessionIds = [] }) {
+    let forgotten = 0;
+    monitors.forEach((monitor, monitorId) => {
+        if (monitor.tenantId !== tenantId) return;
+
+        const holdsSubject = (accountId && monitor.accountId === accountId) ||
+            (deviceId && monitor.deviceId === deviceId) ||
+            sessionIds.includes(monitorId) ||
+            [monitor.clientIp, monitor.previous.clientIp].some(ip => ips.includes(ip));
+        if (!holdsSubject) return;
+
+        if (monitor.socket) {
+            monitor.socket.close(CLOSE_CODES.deleted, 'Subject data deleted');
+        }
+        monitors.delete(monitorId);
+        forgotten++;
+    });
+    return forgotten;
+}
+
+function handleConnection(socket, request, tenant) {
+    const context = { tenant, clientIp: getClientIp(request), monitor: null };
+    socket.isAlive = true;
+    socket.on('pong', () => { socket.isAlive = true; });
+
+    const startTimer = setTimeout(() => {
+        if (!context.monitor) socket.close(1008, 'No start message');
+    }, START_TIMEOUT_MS);
+
+    socket.on('message', (data, isBinary) => {
+        let message;
+        try {
+            message = isBinary ? null : JSON.parse(data.toString());
+        } catch (error) {
+            message = null;
+        }
+        if (!message || typeof message !== 'object' || typeof message.type !== 'string') {
+            return send(socket, { type: 'error', error: 'Messages must be JSON objects with a type' });
+        }
+
+        if (!context.monitor) {
+            if (message.type !== 'start') {
+                return send(socket, { type: 'error', error: 'Send a start message first' });
+            }
+            clearTimeout(startTimer);
+            return handleStart(socket, context, message);
+        }
+
+        const { monitor } = context;
+        if (message.type === 'check') {
+            monitor.queue = monitor.queue
+                .then(() => handleCheck(monitor, socket, message))
+                .catch(error => {
+                    logger.error('Monitor check error', { monitorId: monitor.monitorId, error });
+                    send(socket, { type: 'error', error: 'Failed to score check' });
+                });
+        } else if (message.type === 'stop') {
+            stopMonitor(monitor);
+            socket.close(1000, 'Monitoring stopped');
+        } else {
+            send(socket, { type: 'error', error: `Unknown message type ${message.type}` });
+        }
+    });
+
+    socket.on('close', () => {
+        clearTimeout(startTimer);
+        if (context.monitor?.socket === socket) {
+            context.monitor.socket = null;
+        }
+    });
+
+    socket.on('error', error => {
+        logger.error('Monitor socket error', { monitorId: context.monitor?.monitorId, error });
+    });
+}
+
+/**
+ * Accept monitoring WebSocket connections on the HTTP server. Browsers can't set headers on
+ * WebSockets, so the API key may come in the upgrade request's headers or in the "start" message.
+ */
+function attachMonitoring(server) {
+    const wss = new WebSocketServer({ noServer: true, maxPayload: MAX_MESSAGE_BYTES });
+
+    server.on('upgrade', (request, socket, head) => {
+        const { pathname } = new URL(request.url, 'http://localhost');
+        if (pathname !== MONITOR_PATH) {
+            socket.destroy();
+            return;
+        }
+
+        let tenant = null;
+        if (!isAuthEnabled()) {
+            tenant = getTenant(DEFAULT_TENANT_ID);
+        } else if (getApiKey(request)) {
+            tenant = findTenantByApiKey(getApiKey(request));
+            if (!tenant) {
+                socket.end('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+                return;
+            }
+        }
+
+        wss.handleUpgrade(request, socket, head, ws => handleConnection(ws, request, tenant));
+    });
+
+    // Terminate sockets that stopped answering pings
+    const ping = setInterval(() => {
+        wss.clients.forEach(socket => {
+            if (!socket.isAlive) {
+                socket.terminate();
+                return;
+            }
+            socket.isAlive = false;
+            socket.ping();
+        });
+    }, PING_INTERVAL_MS);
+    ping.unref();
+    wss.on('close', () => clearInterval(ping));
+
+    return wss;
+}
+
+/**
+ * Close and forget monitors that stopped sending checks
+ */
+function sweepMonitors() {
+    const cutoff = Date.now() - MONITOR_IDLE_TIMEOUT_SECONDS * 1000;
+    monitors.forEach((monitor, monitorId) => {
+        if ((monitor.lastCheckAt || monitor.startedAt) > cutoff) return;
+
+        if (monitor.socket) {
+            monitor.socket.close(CLOSE_CODES.timeout, 'Monitor timed out');
+        }
+        monitors.delete(monitorId);
+    });
+}
+
+// unref() so the sweep never keeps the process alive on its own
+setInterval(sweepMonitors, SWEEP_INTERVAL_MS).unref();
+
+module.exports = {
+    attachMonitoring,
+    getMonitor,
+    listMonitors,
+    monitorStatus,
+    forgetMonitorSubject,
+    MONITOR_PATH
+};
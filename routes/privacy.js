@@ -0,0 +1,224 @@
+const crypto = require('crypto');
+const net = require('net');
+const { AsyncLocalStorage } = require('async_hooks');
+const { getThresholds } = require('./threshold-config');
+const { logger, truncateIp } = require('./logger');
+
+// Key for privacy.ipMode "hash". Without it IPs are truncated instead: an unkeyed hash of an
+// IPv4 address is reversed by hashing all 2^32 of them.
+const PRIVACY_HASH_KEY = process.env.PRIVACY_HASH_KEY || '';
+
+// Field names (lower case) that hold IP addresses or coordinates in stored records
+const IP_KEYS = new Set(['ip', 'ips', 'clientip', 'ipaddress', 'webrtcips']);
+const LATITUDE_KEYS = ['latitude', 'lat'];
+const LONGITUDE_KEYS = ['longitude', 'lon', 'lng'];
+
+// Settings a client can ask for in the X-Privacy header; they can only make the tenant's policy stricter
+const PRIVACY_PREFERENCES = ['anonymize-ip', 'no-location'];
+
+const GEOHASH_ALPHABET = '0123456789bcdefghjkmnpqrstuvwxyz';
+const METERS_PER_DEGREE = 111320;
+const MAX_DEPTH = 32;
+
+// X-Privacy preferences of the current request, following it through async calls
+const requestPreferences = new AsyncLocalStorage();
+
+let warnedMissingKey = false;
+
+/**
+ * Middleware: apply the request's X-Privacy preferences to everything it stores
+ */
+function privacyPreferences(req, res, next) {
+    const preferences = new Set((req.get('X-Privacy') || '')
+        .split(',').map(item => item.trim().toLowerCase())
+        .filter(item => PRIVACY_PREFERENCES.includes(item)));
+
+    requestPreferences.run(preferences, next);
+}
+
+/**
+ * The tenant's privacy thresholds, made stricter by the current request's X-Privacy preferences
+ */
+function getPrivacyPolicy(tenantId) {
+    const { ipMode, geohashPrecision, storeLocation } = getThresholds(tenantId).privacy;
+    const preferences = requestPreferences.getStore() || new Set();
+
+    let mode = ipMode === 'none' && preferences.has('anonymize-ip') ? 'truncate' : ipMode;
+    if (mode === 'hash' && !PRIVACY_HASH_KEY) {
+        if (!warnedMissingKey) {
+            logger.warn('privacy.ipMode is "hash" but PRIVACY_HASH_KEY is not set - truncating IPs instead');
+            warnedMissingKey = true;
+        }
+        mode = 'truncate';
+    }
+
+    return {
+        ipMode: mode,
+        geohashPrecision,
+        storeLocation: storeLocation && !preferences.has('no-location')
+    };
+}
+
+/**
+ * HMAC-SHA256 of a value keyed with PRIVACY_HASH_KEY, or null when no key is set
+ */
+function keyedHash(value) {
+    return PRIVACY_HASH_KEY ? crypto.createHmac('sha256', PRIVACY_HASH_KEY).update(value).digest('hex') : null;
+}
+
+/**
+ * An IP address as the policy stores it: unchanged, truncated to its network or a keyed hash.
+ * Values that aren't IP addresses (e.g. "unknown", mDNS hostnames) are kept.
+ */
+function protectIp(ip, policy) {
+    if (typeof ip !== 'string') return ip;
+    const address = ip.trim().replace(/^::ffff:/i, '');
+    if (!net.isIP(address) || policy.ipMode === 'none') return ip;
+
+    if (policy.ipMode === 'hash') {
+        return `iph_${keyedHash(address).slice(0, 32)}`;
+    }
+    return truncateIp(address);
+}
+
+/**
+ * The geohash cell containing a point: its hash, centre and half-diagonal in meters
+ */
+function geohashCell(latitude, longitude, precision) {
+    const latRange = [-90, 90];
+    const lonRange = [-180, 180];
+    let hash = '';
+    let bits = 0;
+    let index = 0;
+    let evenBit = true;
+
+    // Bits alternate between longitude and latitude, halving the range each time
+    while (hash.length < precision) {
+        const range = evenBit ? lonRange : latRange;
+        const value = evenBit ? longitude : latitude;
+        const mid = (range[0] + range[1]) / 2;
+
+        index = index * 2 + (value >= mid ? 1 : 0);
+        range[value >= mid ? 0 : 1] = mid;
+        evenBit = !evenBit;
+
+        if (++bits === 5) {
+            hash += GEOHASH_ALPHABET[index];
+            bits = 0;
+            index = 0;
+        }
+    }
+
+    const centre = {
+        latitude: (latRange[0] + latRange[1]) / 2,
+        longitude: (lonRange[0] + lonRange[1]) / 2
+    };
+    const halfHeight = (latRange[1] - latRange[0]) / 2 * METERS_PER_DEGREE;
+    const halfWidth = (lonRange[1] - lonRange[0]) / 2 * METERS_PER_DEGREE * Math.cos(centre.latitude * Math.PI / 180);
+
+    return {
+        geohash: hash,
+        latitude: Math.round(centre.latitude * 1e6) / 1e6,
+        longitude: Math.round(centre.longitude * 1e6) / 1e6,
+        radiusMeters: Math.round(Math.hypot(halfHeight, halfWidth))
+    };
+}
+
+/**
+ * Coarsen an object's coordinates to the centre of their geohash cell, widening a sibling
+ * accuracy to the cell's size. Returns null for a bare coordinate pair when locations aren't stored.
+ */
+function protectCoordinates(point, latKey, lonKey, policy, depth) {
+    const protectedPoint = protectFields(point, policy, depth, [latKey, lonKey]);
+
+    if (!policy.storeLocation) {
+        // A bare coordinate pair goes entirely; other objects keep their other fields
+        const bare = Object.keys(point).every(key => [latKey, lonKey, 'accuracy'].includes(key));
+        return bare ? null : { ...protectedPoint, [latKey]: null, [lonKey]: null };
+    }
+    if (!policy.geohashPrecision) {
+        return protectedPoint;
+    }
+
+    const cell = geohashCell(point[latKey], point[lonKey], policy.geohashPrecision);
+    return {
+        ...protectedPoint,
+        [latKey]: cell.latitude,
+        [lonKey]: cell.longitude,
+        ...(typeof point.accuracy === 'number' ? { accuracy: Math.max(point.accuracy, cell.radiusMeters) } : {})
+    };
+}
+
+/**
+ * Fingerprints keep accuracy next to their coordinates ({ coordinates, accuracy }) rather than
+ * inside them; widen it the same way
+ */
+function widenLocationAccuracy(location, protectedLocation, policy) {
+    const point = location.coordinates;
+    if (typeof location.accuracy !== 'number' || !point || typeof point !== 'object') return protectedLocation;
+    if (typeof point.latitude !== 'number' || typeof point.longitude !== 'number') return protectedLocation;
+    if (!policy.storeLocation || !policy.geohashPrecision) return protectedLocation;
+
+    const { radiusMeters } = geohashCell(point.latitude, point.longitude, policy.geohashPrecision);
+    return { ...protectedLocation, accuracy: Math.max(location.accuracy, radiusMeters) };
+}
+
+function protectFields(value, policy, depth, skip = []) {
+    return Object.fromEntries(Object.entries(value).map(([key, child]) =>
+        [key, skip.includes(key) ? child : protectValue(child, policy, key, depth + 1)]));
+}
+
+function protectValue(value, policy, key = '', depth = 0) {
+    if (value === null || typeof value !== 'object') {
+        return IP_KEYS.has(key.toLowerCase()) ? protectIp(value, policy) : value;
+    }
+    // Nothing this deep is expected in a stored record; drop it rather than store it unprotected
+    if (depth >= MAX_DEPTH) return null;
+
+    if (Array.isArray(value)) {
+        return IP_KEYS.has(key.toLowerCase())
+            ? value.map(item => protectIp(item, policy))
+            : value.map(item => protectValue(item, policy, '', depth + 1));
+    }
+
+    const latKey = LATITUDE_KEYS.find(name => typeof value[name] === 'number');
+    const lonKey = LONGITUDE_KEYS.find(name => typeof value[name] === 'number');
+    if (latKey && lonKey) {
+        return protectCoordinates(value, latKey, lonKey, policy, depth);
+    }
+
+    return widenLocationAccuracy(value, protectFields(value, policy, depth), policy);
+}
+
+/**
+ * Copy of a record with its IP addresses and coordinates protected by the tenant's privacy policy.
+ * Applied to everything persisted or embedded; scoring keeps using the raw values.
+ */
+function protectRecord(record, tenantId) {
+    return protectValue(record, getPrivacyPolicy(tenantId));
+}
+
+/**
+ * The forms an IP address may have been stored in (raw, or its keyed hash), for lookups and deletion.
+ * Truncated forms are left out: they name a network, and would match its other addresses too.
+ */
+function storedIpForms(ip) {
+    return PRIVACY_HASH_KEY ? [ip, protectIp(ip, { ipMode: 'hash' })] : [ip];
+}
+
+/**
+ * Whether the tenant's policy stores IPs truncated, so stored records can't be found by address
+ * (callers reject IP lookups and deletions rather than widen them to the whole network)
+ */
+function storesTruncatedIps(tenantId) {
+    const { ipMode } = getThresholds(tenantId).privacy;
+    return ipMode === 'truncate' || (ipMode === 'hash' && !PRIVACY_HASH_KEY);
+}
+
+module.exports = {
+    privacyPreferences,
+    protectRecord,
+    storedIpForms,
+    storesTruncatedIps,
+    keyedHash
+};
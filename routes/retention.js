@@ -0,0 +1,253 @@
+const crypto = require('crypto');
+const net = require('net');
+const { FileStore, getStore } = require('./file-store');
+const { getThresholds } = require('./threshold-config');
+const { DEFAULT_TENANT_ID, listTenants } = require('./tenants');
+const { findSubjectSessions, deleteSubjectSessions, deleteSessionsBefore } = require('./session-fingerprint');
+const { forgetVelocitySubject } = require('./velocity');
+const { forgetLiveSubject } = require('./live-sessions');
+const { forgetMonitorSubject } = require('./monitoring');
+const { storedIpForms, keyedHash } = require('./privacy');
+const { logger } = require('./logger');
+
+// How often data older than each tenant's retention.days is purged
+const RETENTION_PURGE_INTERVAL_MINUTES = parseInt(process.env.RETENTION_PURGE_INTERVAL_MINUTES, 10) || 60;
+
+// Receipts for subject deletions. They name the subject by keyed hash only and are not purged,
+// so they remain the record that a deletion happened.
+const receiptStore = new FileStore('deletion-receipts');
+
+// Subjects that can be deleted (the same dimensions velocity tracks)
+const SUBJECT_TYPES = ['account', 'ip', 'device'];
+
+/**
+ * What the records of each file store say about their subject, and when they were written.
+ * subject(record) lists the record's accounts, IPs, devices and sessions; linkedBy also removes
+ * the records sharing that field with a removed one (a webhook delivery's later attempts).
+ */
+const STORE_POLICIES = [
+    {
+        store: 'detections',
+        time: record => record.timestamp,
+        subject: record => ({ ip: [record.clientIp], session: [record.sessionId] })
+    },
+    {
+        store: 'session-groups',
+        time: record => record.timestamp,
+        subject: record => ({ ip: [record.clientIp], session: [record.groupSessionId, ...(record.sessionIds || [])] })
+    },
+    {
+        store: 'account-locations',
+        time: record => record.timestamp,
+        subject: record => ({ account: [record.accountId], session: [record.sessionId] })
+    },
+    {
+        store: 'device-sessions',
+        time: record => record.timestamp,
+        subject: record => ({ account: [record.accountId], device: [record.deviceId], session: [record.sessionId] })
+    },
+    {
+        store: 'location-proofs',
+        time: record => record.completedAt,
+        subject: record => ({ account: [record.accountId] })
+    },
+    {
+        store: 'batch-jobs',
+        time: record => record.createdAt,
+        subject: () => ({})
+    },
+    {
+        store: 'batch-results',
+        time: record => record.assessedAt,
+        subject: record => ({ account: [record.accountId], session: [record.sessionId] })
+    },
+    {
+        store: 'webhook-deliveries',
+        time: record => record.timestamp,
+        subject: record => {
+            const data = record.payload?.data || {};
+            return {
+                account: [data.accountId],
+                device: [data.deviceId],
+                ip: [data.clientIp],
+                session: [data.sessionId]
+            };
+        },
+        linkedBy: 'deliveryId'
+    }
+];
+
+let purging = false;
+
+function ownedBy(record, tenantId) {
+    return (record.tenantId || DEFAULT_TENANT_ID) === tenantId;
+}
+
+/**
+ * Remove a tenant's records matching a predicate from one store. Returns the number removed.
+ */
+function removeRecords(policy, tenantId, predicate) {
+    const store = getStore(policy.store);
+    if (!store) return 0;
+
+    let matches = record => ownedBy(record, tenantId) && predicate(record);
+    if (policy.linkedBy) {
+        const linked = new Set(store.filter(matches).map(record => record[policy.linkedBy]).filter(Boolean));
+        matches = record => ownedBy(record, tenantId) && linked.has(record[policy.linkedBy]);
+    }
+
+    return store.remove(matches).length;
+}
+
+/**
+ * Delete a tenant's data older than its retention.days. Returns the number deleted per store.
+ */
+async function purgeTenant(tenantId) {
+    const { days } = getThresholds(tenantId).retention;
+    const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+    const deleted = {};
+
+    STORE_POLICIES.forEach(policy => {
+        deleted[policy.store] = removeRecords(policy, tenantId, record => {
+            const time = Date.parse(policy.time(record));
+            return !Number.isNaN(time) && time < cutoff;
+        });
+    });
+
+    // Qdrant last, so the local stores are purged even when it is unavailable
+    deleted.sessions = await deleteSessionsBefore(cutoff, tenantId);
+    return deleted;
+}
+
+/**
+ * Purge expired data for every tenant, including tenants that have since been removed from
+ * the registry but still have records. A tenant that fails doesn't stop the others.
+ */
+async function purgeExpiredData() {
+    if (purging) return;
+    purging = true;
+
+    try {
+        const tenantIds = new Set([DEFAULT_TENANT_ID, ...listTenants().map(tenant => tenant.id)]);
+        STORE_POLICIES.forEach(policy => {
+            getStore(policy.store)?.all().forEach(record => tenantIds.add(record.tenantId || DEFAULT_TENANT_ID));
+        });
+
+        for (const tenantId of tenantIds) {
+            try {
+                const deleted = await purgeTenant(tenantId);
+                if (Object.values(deleted).some(count => count > 0)) {
+                    logger.info('Retention purge', { tenant: tenantId, deleted });
+                }
+            } catch (error) {
+                logger.error('Retention purge error', { tenant: tenantId, error });
+            }
+        }
+    } finally {
+        purging = false;
+    }
+}
+
+/**
+ * Purge expired data every RETENTION_PURGE_INTERVAL_MINUTES
+ */
+function startRetentionPurge() {
+    // unref() so the purge never keeps the process alive on its own
+    setInterval(() => {
+        purgeExpiredData().catch(error => logger.error('Retention purge error', { error }));
+    }, RETENTION_PURGE_INTERVAL_MINUTES * 60 * 1000).unref();
+}
+
+/**
+ * The values an IP can be stored as: IPv4 addresses also arrive IPv4-mapped (::ffff:1.2.3.4)
+ */
+function ipVariants(ip) {
+    const mapped = ip.toLowerCase().startsWith('::ffff:') && net.isIPv4(ip.slice(7));
+    if (mapped) return [ip, ip.slice(7)];
+    return net.isIPv4(ip) ? [ip, `::ffff:${ip}`] : [ip];
+}
+
+/**
+ * Identifies a subject in receipts without storing it: the same subject of the same tenant
+ * always hashes to the same value. Keyed, as an unkeyed hash of an IP is reversed by trying
+ * every address; without PRIVACY_HASH_KEY receipts name no subject (null).
+ */
+function hashSubject(tenantId, type, value) {
+    return keyedHash(`${tenantId}|${type}|${value}`);
+}
+
+/**
+ * Delete everything stored about one subject of a tenant: an account, an IP or a device.
+ * Records naming the subject go together with every record of the same sessions (e.g. the
+ * detections of an account's sessions), and open live sessions and monitors holding the
+ * subject's data are closed. Returns the deletion receipt.
+ */
+async function deleteSubject(tenantId, type, value, { requestedBy, requestedByNote = null } = {}) {
+    const requestedAt = new Date().toISOString();
+    const values = type === 'ip' ? [...new Set([...ipVariants(value), ...storedIpForms(value)])] : [value];
+    const namesSubject = keys => (keys[type] || []).some(item => values.includes(item));
+    const subject = {
+        accountId: type === 'account' ? value : null,
+        deviceId: type === 'device' ? value : null,
+        ips: type === 'ip' ? values : []
+    };
+
+    // Sessions of the subject, from Qdrant and from every store record that names the subject
+    const sessionIds = new Set(await findSubjectSessions(subject, tenantId));
+    STORE_POLICIES.forEach(policy => {
+        const store = getStore(policy.store);
+        if (!store) return;
+
+        store.filter(record => ownedBy(record, tenantId) && namesSubject(policy.subject(record)))
+            .forEach(record => (policy.subject(record).session || []).forEach(id => id && sessionIds.add(id)));
+    });
+
+    // Qdrant first: if it fails nothing else is deleted yet, and the request can simply be retried
+    const deleted = {
+        sessions: await deleteSubjectSessions({ ...subject, sessionIds: [...sessionIds] }, tenantId)
+    };
+
+    STORE_POLICIES.forEach(policy => {
+        deleted[policy.store] = removeRecords(policy, tenantId, record => {
+            const keys = policy.subject(record);
+            return namesSubject(keys) || (keys.session || []).some(id => sessionIds.has(id));
+        });
+    });
+
+    deleted.velocity = values.reduce((count, item) => count + forgetVelocitySubject(tenantId, type, item), 0);
+
+    // Open live sessions and monitors hold the subject's detections and last position in memory
+    const inMemory = { ...subject, sessionIds: [...sessionIds] };
+    deleted['live-sessions'] = forgetLiveSubject(tenantId, inMemory);
+    deleted.monitors = forgetMonitorSubject(tenantId, inMemory);
+
+    const receipt = receiptStore.append({
+        receiptId: `del_${crypto.randomBytes(8).toString('hex')}`,
+        tenantId,
+        subject: { type, hash: hashSubject(tenantId, type, value) },
+        requestedBy: requestedBy || 'anonymous',
+        requestedByNote,
+        requestedAt,
+        completedAt: new Date().toISOString(),
+        deleted,
+        total: Object.values(deleted).reduce((sum, count) => sum + count, 0)
+    });
+
+    logger.info('Subject deleted', { tenant: tenantId, receiptId: receipt.receiptId, total: receipt.total });
+    return receipt;
+}
+
+/**
+ * A tenant's deletion receipt, or null
+ */
+function getDeletionReceipt(receiptId, tenantId = DEFAULT_TENANT_ID) {
+    return receiptStore.find(receipt => receipt.receiptId === receiptId && receipt.tenantId === tenantId);
+}
+
+module.exports = {
+    SUBJECT_TYPES,
+    deleteSubject,
+    getDeletionReceipt,
+    purgeExpiredData,
+    startRetentionPurge
+};
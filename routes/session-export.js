@@ -0,0 +1,44 @@
+/**
+ * The session to score from one uploaded item: a UI export file (currentSession /
+ * multiDetectionSession / singleSession), a multi-detection session, or a single detection
+ */
+function unwrapSession(item) {
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+        return null;
+    }
+    const exported = item.currentSession || item.multiDetectionSession || item.singleSession;
+    return exported && typeof exported === 'object' ? exported : item;
+}
+
+function hasCoordinates(location) {
+    return typeof location?.latitude === 'number' && typeof location?.longitude === 'number';
+}
+
+/**
+ * The detection a session is scored on: its last located detection (or last detection),
+ * or the session itself when it is a single detection. Throws when there is nothing to score.
+ */
+function primaryDetection(session) {
+    const detections = Array.isArray(session.detections) && session.detections.length
+        ? session.detections
+        : [session];
+    const detection = [...detections].reverse().find(d => hasCoordinates(d?.location)) || detections[detections.length - 1];
+
+    if (!detection || (!detection.location && !detection.environment && !detection.network)) {
+        throw new Error('Session has no location, environment or network data');
+    }
+    return detection;
+}
+
+/**
+ * The client IP recorded by the browser in an exported detection, if any
+ */
+function exportedClientIp(detection) {
+    return detection.location?.clientIP || detection.network?.clientIP || detection.environment?.clientIp || null;
+}
+
+module.exports = {
+    unwrapSession,
+    primaryDetection,
+    exportedClientIp
+};
@@ -2,12 +2,20 @@ const { GoogleGenerativeAI } = require('@google/generative-ai');
 const { QdrantClient } = require('@qdrant/js-client-rest');
 const crypto = require('crypto');
 const { getThresholds } = require('./threshold-config');
+const { DEFAULT_TENANT_ID } = require('./tenants');
+const { resolveDeviceId } = require('./devices');
+const { trackVelocity } = require('./velocity');
+const { protectRecord } = require('./privacy');
+const { logger } = require('./logger');
+const { observeGemini, observeQdrant } = require('./metrics');
 
 // Initialize clients
 const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY || '');
 const qdrantClient = new QdrantClient({
     url: process.env.QDRANT_URL || 'http://localhost:6333',
-    apiKey: process.env.QDRANT_API_KEY
+    apiKey: process.env.QDRANT_API_KEY,
+    // The version check contacts Qdrant as soon as this module loads; offline tools turn it off
+    checkCompatibility: process.env.QDRANT_CHECK_COMPATIBILITY !== 'false'
 });
 
 const COLLECTION_NAME = 'geo_spoofer_sessions';
@@ -18,18 +26,28 @@ const EMBEDDING_MODEL = 'text-embedding-004';
  */
 function generateSessionFingerprint(detectionData) {
     const {
+        sessionId,
         location,
         environment,
         network,
         timestamp,
         userAgent,
         clientIp,
-        detectionResults
+        detectionResults,
+        accountId,
+        tenantId = DEFAULT_TENANT_ID,
+        device = resolveDeviceId(environment, tenantId)
     } = detectionData;
 
     // Create a structured fingerprint
     const fingerprint = {
-        sessionId: crypto.randomBytes(16).toString('hex'),
+        sessionId: sessionId || crypto.randomBytes(16).toString('hex'),
+        tenantId,
+        accountId: accountId || null,
+        
+        // Stable across sessions of the same device (see routes/devices.js)
+        deviceId: device.deviceId,
+        device,
         timestamp: timestamp || new Date().toISOString(),
         
         // Location characteristics
@@ -73,7 +91,7 @@ function generateSessionFingerprint(detectionData) {
         summary: {
             locationScore: detectionResults?.locationScore || 0,
             environmentScore: detectionResults?.environmentScore || 0,
-            overallRisk: calculateOverallRisk(detectionResults),
+            overallRisk: calculateOverallRisk(detectionResults, tenantId),
             spoofingIndicators: extractSpoofingIndicators(detectionResults)
         }
     };
@@ -84,10 +102,10 @@ function generateSessionFingerprint(detectionData) {
 /**
  * Calculate overall risk score
  */
-function calculateOverallRisk(detectionResults) {
+function calculateOverallRisk(detectionResults, tenantId) {
     if (!detectionResults) return 'unknown';
     
-    const thresholds = getThresholds();
+    const thresholds = getThresholds(tenantId);
     
     const locationScore = detectionResults.locationScore || 100;
     const environmentScore = detectionResults.environmentScore || 100;
@@ -124,13 +142,15 @@ function extractSpoofingIndicators(detectionResults) {
 }
 
 /**
- * Convert fingerprint to text for embedding
+ * Convert fingerprint to text for embedding. The text is built from the privacy-protected
+ * fingerprint, so embeddings never carry raw IPs or full-precision coordinates.
  */
-function fingerprintToText(fingerprint) {
+function fingerprintToText(rawFingerprint) {
+    const fingerprint = protectRecord(rawFingerprint, rawFingerprint.tenantId);
     const parts = [];
     
-    // Location info
-    if (fingerprint.location.coordinates) {
+    // Location info (coordinates are null when the tenant doesn't store locations)
+    if (fingerprint.location.coordinates?.latitude != null) {
         parts.push(`Location: ${fingerprint.location.coordinates.latitude}, ${fingerprint.location.coordinates.longitude}`);
         parts.push(`Accuracy: ${fingerprint.location.accuracy}m`);
     }
@@ -168,10 +188,10 @@ function fingerprintToText(fingerprint) {
 async function generateEmbedding(text) {
     try {
         const model = genAI.getGenerativeModel({ model: EMBEDDING_MODEL });
-        const result = await model.embedContent(text);
+        const result = await observeGemini('embedding', () => model.embedContent(text));
         return result.embedding.values;
     } catch (error) {
-        console.error('Error generating embedding:', error);
+        logger.error('Error generating embedding', { error });
         throw error;
     }
 }
@@ -193,50 +213,280 @@ async function initializeQdrantCollection() {
                     distance: 'Cosine'
                 }
             });
-            console.log(`Created Qdrant collection: ${COLLECTION_NAME}`);
+            
+            logger.info('Created Qdrant collection', { collection: COLLECTION_NAME });
+        }
+        
+        // Index tenant and group membership so filtered lookups don't scan the whole collection,
+        // and the storage time so the retention purge can delete by range
+        const indexes = { tenantId: 'keyword', groupSessionId: 'keyword', storedAt: 'datetime' };
+        for (const [field, schema] of Object.entries(indexes)) {
+            await qdrantClient.createPayloadIndex(COLLECTION_NAME, {
+                field_name: field,
+                field_schema: schema
+            });
         }
     } catch (error) {
-        console.error('Error initializing Qdrant collection:', error);
+        logger.error('Error initializing Qdrant collection', { error });
     }
 }
 
+/**
+ * Map a session ID to a valid Qdrant point ID.
+ * Qdrant only accepts UUIDs or unsigned integers, so other IDs
+ * are hashed into a deterministic UUID. Non-default tenants are
+ * namespaced so two tenants can reuse the same client session ID.
+ */
+function toPointId(sessionId, tenantId = DEFAULT_TENANT_ID) {
+    const id = tenantId === DEFAULT_TENANT_ID ? String(sessionId) : `${tenantId}:${sessionId}`;
+    if (/^[0-9a-f]{8}-?[0-9a-f]{4}-?[0-9a-f]{4}-?[0-9a-f]{4}-?[0-9a-f]{12}$/i.test(id)) {
+        return id;
+    }
+    
+    const hex = crypto.createHash('md5').update(id).digest('hex');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
 /**
  * Store session fingerprint in Qdrant
  */
 async function storeSessionFingerprint(fingerprint, embedding) {
     try {
         const point = {
-            id: fingerprint.sessionId,
+            id: toPointId(fingerprint.sessionId, fingerprint.tenantId),
             vector: embedding,
-            payload: fingerprint
+            // storedAt is the server's clock, for retention (timestamp may come from the client)
+            payload: { ...protectRecord(fingerprint, fingerprint.tenantId), storedAt: new Date().toISOString() }
         };
         
-        await qdrantClient.upsert(COLLECTION_NAME, {
+        await observeQdrant('upsert', () => qdrantClient.upsert(COLLECTION_NAME, {
             wait: true,
             points: [point]
-        });
+        }));
         
         return fingerprint.sessionId;
     } catch (error) {
-        console.error('Error storing fingerprint:', error);
+        logger.error('Error storing fingerprint', { error });
         throw error;
     }
 }
 
 /**
- * Find similar sessions
+ * Qdrant filter restricting points to one tenant.
+ * Points stored before tenants existed have no tenantId and belong to the default tenant.
  */
-async function findSimilarSessions(embedding, limit = 5) {
+function tenantFilter(tenantId = DEFAULT_TENANT_ID) {
+    if (tenantId === DEFAULT_TENANT_ID) {
+        return {
+            should: [
+                { key: 'tenantId', match: { value: DEFAULT_TENANT_ID } },
+                { is_empty: { key: 'tenantId' } }
+            ]
+        };
+    }
+    return {
+        must: [{ key: 'tenantId', match: { value: tenantId } }]
+    };
+}
+
+function belongsToTenant(payload, tenantId = DEFAULT_TENANT_ID) {
+    return (payload?.tenantId || DEFAULT_TENANT_ID) === tenantId;
+}
+
+/**
+ * Find similar sessions within a tenant
+ */
+async function findSimilarSessions(embedding, limit = 5, tenantId = DEFAULT_TENANT_ID) {
     try {
-        const searchResult = await qdrantClient.search(COLLECTION_NAME, {
+        const searchResult = await observeQdrant('search', () => qdrantClient.search(COLLECTION_NAME, {
             vector: embedding,
             limit: limit,
+            filter: tenantFilter(tenantId),
             with_payload: true
-        });
+        }));
         
         return searchResult;
     } catch (error) {
-        console.error('Error searching similar sessions:', error);
+        logger.error('Error searching similar sessions', { error });
+        throw error;
+    }
+}
+
+/**
+ * Retrieve a stored session (payload and vector) by session ID
+ */
+async function getSessionFingerprint(sessionId, tenantId = DEFAULT_TENANT_ID) {
+    try {
+        const points = await observeQdrant('retrieve', () => qdrantClient.retrieve(COLLECTION_NAME, {
+            ids: [toPointId(sessionId, tenantId)],
+            with_payload: true,
+            with_vector: true
+        }));
+        
+        const point = points[0];
+        return point && belongsToTenant(point.payload, tenantId) ? point : null;
+    } catch (error) {
+        logger.error('Error retrieving session fingerprint', { error });
+        throw error;
+    }
+}
+
+/**
+ * Find the nearest stored sessions to a stored point, excluding the point itself
+ */
+async function findSessionNeighbours(point, limit = 5, tenantId = DEFAULT_TENANT_ID) {
+    if (!point?.vector) return [];
+    
+    const results = await findSimilarSessions(point.vector, limit + 1, tenantId);
+    return results.filter(s => s.id !== point.id).slice(0, limit);
+}
+
+/**
+ * Retrieve all stored sessions belonging to a group, ordered by group index
+ */
+async function getGroupSessions(groupSessionId, tenantId = DEFAULT_TENANT_ID) {
+    try {
+        const members = [];
+        let offset = undefined;
+        
+        do {
+            const page = await observeQdrant('scroll', () => qdrantClient.scroll(COLLECTION_NAME, {
+                filter: {
+                    must: [
+                        { key: 'groupSessionId', match: { value: groupSessionId } },
+                        tenantFilter(tenantId)
+                    ]
+                },
+                limit: 100,
+                offset,
+                with_payload: true,
+                with_vector: true
+            }));
+            
+            members.push(...page.points);
+            offset = page.next_page_offset;
+        } while (offset !== null && offset !== undefined);
+        
+        return members.sort((a, b) => (a.payload?.groupIndex || 0) - (b.payload?.groupIndex || 0));
+    } catch (error) {
+        logger.error('Error retrieving group sessions', { error });
+        throw error;
+    }
+}
+
+/**
+ * Qdrant condition matching a subject's points: by account, device or IP (the connection IP
+ * and the WebRTC IPs the browser reported), or by session ID. Null when nothing identifies the subject.
+ */
+function subjectCondition({ accountId, deviceId, ips = [], sessionIds = [] }) {
+    const should = [];
+    if (accountId) should.push({ key: 'accountId', match: { value: accountId } });
+    if (deviceId) should.push({ key: 'deviceId', match: { value: deviceId } });
+    if (ips.length) {
+        ['network.clientIp', 'network.clientIP', 'network.webrtcIps'].forEach(key => {
+            should.push({ key, match: { any: ips } });
+        });
+    }
+    if (sessionIds.length) should.push({ key: 'sessionId', match: { any: sessionIds } });
+
+    // An empty "should" matches every point, so never hand one to Qdrant
+    return should.length ? { should } : null;
+}
+
+/**
+ * Scroll every point matching a filter, with only the given payload fields
+ */
+async function scrollPoints(filter, payloadFields) {
+    const points = [];
+    let offset = undefined;
+    
+    do {
+        const page = await observeQdrant('scroll', () => qdrantClient.scroll(COLLECTION_NAME, {
+            filter,
+            limit: 256,
+            offset,
+            with_payload: payloadFields,
+            with_vector: false
+        }));
+        
+        points.push(...page.points);
+        offset = page.next_page_offset;
+    } while (offset !== null && offset !== undefined);
+    
+    return points;
+}
+
+/**
+ * Delete points by ID, a batch at a time. Returns the number deleted.
+ */
+async function deletePoints(ids) {
+    for (let i = 0; i < ids.length; i += 256) {
+        const batch = ids.slice(i, i + 256);
+        await observeQdrant('delete', () => qdrantClient.delete(COLLECTION_NAME, {
+            wait: true,
+            points: batch
+        }));
+    }
+    return ids.length;
+}
+
+/**
+ * Session IDs of a tenant's stored sessions that belong to a subject
+ */
+async function findSubjectSessions(subject, tenantId = DEFAULT_TENANT_ID) {
+    const condition = subjectCondition(subject);
+    if (!condition) return [];
+    
+    try {
+        const points = await scrollPoints({ must: [tenantFilter(tenantId), condition] }, ['sessionId']);
+        return points.map(point => point.payload?.sessionId).filter(Boolean);
+    } catch (error) {
+        logger.error('Error finding subject sessions', { error });
+        throw error;
+    }
+}
+
+/**
+ * Delete a tenant's stored sessions (and their embeddings) that belong to a subject.
+ * Returns the number of sessions deleted.
+ */
+async function deleteSubjectSessions(subject, tenantId = DEFAULT_TENANT_ID) {
+    const condition = subjectCondition(subject);
+    if (!condition) return 0;
+    
+    try {
+        const points = await scrollPoints({ must: [tenantFilter(tenantId), condition] }, false);
+        return await deletePoints(points.map(point => point.id));
+    } catch (error) {
+        logger.error('Error deleting subject sessions', { error });
+        throw error;
+    }
+}
+
+/**
+ * Delete a tenant's sessions stored before a cutoff (ms since epoch) with a range filter on the indexed
+ * storedAt, so Qdrant selects them without the points being loaded here. Sessions stored before storedAt
+ * was recorded fall back to their detection timestamp; ones with neither are kept.
+ * Returns the number of sessions deleted.
+ */
+async function deleteSessionsBefore(cutoff, tenantId = DEFAULT_TENANT_ID) {
+    const before = { lt: new Date(cutoff).toISOString() };
+    const filter = {
+        must: [tenantFilter(tenantId)],
+        should: [
+            { key: 'storedAt', range: before },
+            { must: [{ is_empty: { key: 'storedAt' } }, { key: 'timestamp', range: before }] }
+        ]
+    };
+    
+    try {
+        const { count } = await observeQdrant('count', () => qdrantClient.count(COLLECTION_NAME, { filter, exact: true }));
+        if (count) {
+            await observeQdrant('delete', () => qdrantClient.delete(COLLECTION_NAME, { wait: true, filter }));
+        }
+        return count;
+    } catch (error) {
+        logger.error('Error deleting expired sessions', { error });
         throw error;
     }
 }
@@ -300,7 +550,7 @@ Format your response as JSON with the following structure:
 }
 `;
 
-        const result = await model.generateContent(prompt);
+        const result = await observeGemini('llm', () => model.generateContent(prompt));
         const response = result.response;
         const text = response.text();
         
@@ -318,17 +568,18 @@ Format your response as JSON with the following structure:
             };
         }
     } catch (error) {
-        console.error('Error evaluating with LLM:', error);
+        logger.error('Error evaluating with LLM', { error });
         throw error;
     }
 }
 
 /**
- * Lite evaluation - faster analysis using pattern matching and embeddings
+ * Lite evaluation - faster analysis using pattern matching and embeddings.
+ * replay: don't record velocity; llm: false skips the Gemini one-line insight (offline scoring)
  */
-async function evaluateLite(fingerprint, similarSessions) {
+async function evaluateLite(fingerprint, similarSessions, { replay = false, llm = true } = {}) {
     try {
-        const thresholds = getThresholds();
+        const thresholds = getThresholds(fingerprint.tenantId);
         const patterns = thresholds.patternAnalysis;
         
         // Calculate risk based on fingerprint data
@@ -368,6 +619,22 @@ async function evaluateLite(fingerprint, similarSessions) {
             riskPatterns.push('Remote desktop connection');
         }
         
+        // Check session velocity per IP, device and account (not for re-scored exports, which happened in the past)
+        const velocity = replay ? null : trackVelocity({
+            id: fingerprint.sessionId,
+            tenantId: fingerprint.tenantId,
+            ip: fingerprint.network.clientIp,
+            deviceId: fingerprint.deviceId,
+            accountId: fingerprint.accountId,
+            latitude: fingerprint.location.coordinates?.latitude,
+            longitude: fingerprint.location.coordinates?.longitude
+        });
+        if (velocity && velocity.flags.length > 0) {
+            riskScore += velocity.deduction;
+            velocity.flags.forEach(flag => riskFactors.push(flag.message));
+            riskPatterns.push('High session velocity');
+        }
+        
         // Analyze similar sessions
         let similarityInsights = '';
         if (similarSessions.length > 0) {
@@ -410,15 +677,18 @@ async function evaluateLite(fingerprint, similarSessions) {
         }
         
         // Use Gemini for quick insight if available
-        let aiInsight = '';
-        try {
-            const model = genAI.getGenerativeModel({ model: 'gemini-2.5-flash' });
-            const quickPrompt = `In one sentence, summarize the security risk for a user with: ${riskFactors.join(', ')}`;
-            const result = await model.generateContent(quickPrompt);
-            aiInsight = result.response.text().trim();
-        } catch (error) {
-            console.error('Error getting AI insight:', error);
-            aiInsight = `Detected ${riskFactors.length} risk factors indicating ${riskLevel.toLowerCase()} probability of location spoofing`;
+        const fallbackInsight = `Detected ${riskFactors.length} risk factors indicating ${riskLevel.toLowerCase()} probability of location spoofing`;
+        let aiInsight = fallbackInsight;
+        if (llm) {
+            try {
+                const model = genAI.getGenerativeModel({ model: 'gemini-2.5-flash' });
+                const quickPrompt = `In one sentence, summarize the security risk for a user with: ${riskFactors.join(', ')}`;
+                const result = await observeGemini('llm', () => model.generateContent(quickPrompt));
+                aiInsight = result.response.text().trim();
+            } catch (error) {
+                logger.error('Error getting AI insight', { error });
+                aiInsight = fallbackInsight;
+            }
         }
         
         return {
@@ -430,11 +700,12 @@ async function evaluateLite(fingerprint, similarSessions) {
             patterns: riskPatterns,
             recommendations: recommendations,
             similarityInsights: similarityInsights,
+            velocity: velocity,
             processingTime: 'fast'
         };
         
     } catch (error) {
-        console.error('Error in lite evaluation:', error);
+        logger.error('Error in lite evaluation', { error });
         return {
             riskAssessment: 'UNKNOWN',
             riskScore: 0,
@@ -454,7 +725,13 @@ module.exports = {
     generateEmbedding,
     initializeQdrantCollection,
     storeSessionFingerprint,
+    getSessionFingerprint,
+    getGroupSessions,
+    findSubjectSessions,
+    deleteSubjectSessions,
+    deleteSessionsBefore,
     findSimilarSessions,
+    findSessionNeighbours,
     evaluateSimilarity,
     evaluateLite
 }; 
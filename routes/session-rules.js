@@ -0,0 +1,102 @@
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+const yaml = require('js-yaml');
+const SessionRulesCheck = require('../public/session-rules-check');
+const { logger } = require('./logger');
+
+// JSON by default; a .yaml/.yml path is parsed as YAML
+const RULES_PATH = process.env.SESSION_RULES_PATH || path.join(__dirname, '..', 'session-rules.json');
+const SCHEMA_PATH = path.join(__dirname, '..', 'session-rules.schema.json');
+
+const ajv = new Ajv({ allErrors: true });
+const validateSchema = ajv.compile(JSON.parse(fs.readFileSync(SCHEMA_PATH, 'utf8')));
+
+let ruleSet = { version: 0, rules: [] };
+
+/**
+ * Validate a rules document against session-rules.schema.json
+ */
+function validateRules(candidate) {
+    const errors = [];
+
+    if (!validateSchema(candidate)) {
+        validateSchema.errors.forEach(error => {
+            errors.push({ path: error.instancePath || '/', message: error.message });
+        });
+    } else {
+        const seen = new Set();
+        candidate.rules.forEach((rule, index) => {
+            if (seen.has(rule.id)) {
+                errors.push({ path: `/rules/${index}/id`, message: `duplicate rule id "${rule.id}"` });
+            }
+            seen.add(rule.id);
+        });
+    }
+
+    return { valid: errors.length === 0, errors };
+}
+
+function parseRulesFile(content) {
+    return /\.ya?ml$/i.test(RULES_PATH) ? yaml.load(content) : JSON.parse(content);
+}
+
+/**
+ * Load rules from disk. An unreadable or invalid file keeps the current rules.
+ */
+function loadRules() {
+    try {
+        const candidate = parseRulesFile(fs.readFileSync(RULES_PATH, 'utf8'));
+        const { valid, errors } = validateRules(candidate);
+
+        if (!valid) {
+            logger.error('Invalid session rules, keeping previous rules', { errors });
+            return ruleSet;
+        }
+
+        ruleSet = SessionRulesCheck.setRules(candidate);
+        logger.info('Session rules loaded', { rules: candidate.rules.length });
+    } catch (error) {
+        logger.error('Error loading session rules', { file: path.basename(RULES_PATH), error });
+    }
+    return ruleSet;
+}
+
+/**
+ * Current rules document (also served to the browser at /session-rules.json)
+ */
+function getRuleSet() {
+    return ruleSet;
+}
+
+/**
+ * Run the session rules on session data, passing it exactly as the browser does
+ * so both sides get identical results
+ */
+function runSessionRules(sessionData) {
+    return SessionRulesCheck.runAllChecks({
+        multiDetectionSession: sessionData,
+        currentSession: sessionData
+    }, ruleSet);
+}
+
+/**
+ * Watch for changes to the rules file
+ */
+function watchRulesFile() {
+    fs.watchFile(RULES_PATH, () => {
+        logger.info('Session rules file changed, reloading');
+        loadRules();
+    }).unref();
+}
+
+// Initialize on module load
+loadRules();
+watchRulesFile();
+
+module.exports = {
+    getRuleSet,
+    loadRules,
+    validateRules,
+    runSessionRules
+};
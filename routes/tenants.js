@@ -0,0 +1,189 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+const TENANTS_PATH = process.env.TENANTS_FILE || path.join(__dirname, '..', 'tenants.json');
+
+// Tenant used for every request while no tenants are configured
+const DEFAULT_TENANT_ID = 'default';
+
+const TENANT_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/i;
+
+// Publishable keys can be shipped in the browser and only reach the detection endpoints;
+// secret keys also reach the management endpoints (thresholds, batch jobs). Keys issued
+// before scopes existed are publishable.
+const KEY_SCOPES = ['publishable', 'secret'];
+
+let registry = null;
+let keyIndex = new Map();
+
+/**
+ * Load tenants from JSON file and index their API key hashes
+ */
+function loadTenants() {
+    try {
+        if (fs.existsSync(TENANTS_PATH)) {
+            registry = JSON.parse(fs.readFileSync(TENANTS_PATH, 'utf8'));
+        } else {
+            registry = { tenants: {} };
+        }
+    } catch (error) {
+        logger.error('Error loading tenants file', { error });
+        registry = { tenants: {} };
+    }
+
+    registry.tenants = registry.tenants || {};
+    keyIndex = new Map();
+    Object.entries(registry.tenants).forEach(([tenantId, tenant]) => {
+        (tenant.apiKeys || []).forEach(key => {
+            if (!key.revokedAt) {
+                keyIndex.set(key.hash, { tenantId, keyId: key.id, keyScope: key.scope || 'publishable' });
+            }
+        });
+    });
+
+    return registry;
+}
+
+/**
+ * Write tenants back to disk
+ */
+function saveTenants() {
+    fs.writeFileSync(TENANTS_PATH, JSON.stringify(registry, null, 2));
+    loadTenants();
+}
+
+function getRegistry() {
+    if (!registry) {
+        loadTenants();
+    }
+    return registry;
+}
+
+/**
+ * Authentication is enforced as soon as at least one tenant exists
+ */
+function isAuthEnabled() {
+    return Object.keys(getRegistry().tenants).length > 0;
+}
+
+function hashApiKey(apiKey) {
+    return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+/**
+ * Get a tenant's configuration by ID (without key hashes)
+ */
+function getTenant(tenantId) {
+    if (tenantId === DEFAULT_TENANT_ID && !isAuthEnabled()) {
+        return { id: DEFAULT_TENANT_ID, name: 'Default' };
+    }
+
+    const tenant = getRegistry().tenants[tenantId];
+    if (!tenant) return null;
+
+    const { apiKeys, ...config } = tenant;
+    return { id: tenantId, ...config };
+}
+
+/**
+ * Resolve the tenant that owns an API key
+ */
+function findTenantByApiKey(apiKey) {
+    if (!apiKey) return null;
+
+    getRegistry();
+    const entry = keyIndex.get(hashApiKey(apiKey));
+    if (!entry) return null;
+
+    return { ...getTenant(entry.tenantId), keyId: entry.keyId, keyScope: entry.keyScope };
+}
+
+/**
+ * List tenants with key metadata (never the hashes)
+ */
+function listTenants() {
+    return Object.entries(getRegistry().tenants).map(([tenantId, tenant]) => ({
+        ...getTenant(tenantId),
+        apiKeys: (tenant.apiKeys || []).map(({ hash, ...key }) => ({ ...key, scope: key.scope || 'publishable' }))
+    }));
+}
+
+/**
+ * Issue a new API key for a tenant, creating the tenant if needed.
+ * The plaintext key is only returned here; only its hash is stored.
+ */
+function issueApiKey(tenantId, { name, label, scope = 'publishable' } = {}) {
+    if (!TENANT_ID_PATTERN.test(tenantId) || tenantId === DEFAULT_TENANT_ID) {
+        throw new Error('Invalid tenant ID');
+    }
+    if (!KEY_SCOPES.includes(scope)) {
+        throw new Error('Invalid key scope');
+    }
+
+    const tenants = getRegistry().tenants;
+    if (!tenants[tenantId]) {
+        tenants[tenantId] = { name: name || tenantId, apiKeys: [] };
+    } else if (name) {
+        tenants[tenantId].name = name;
+    }
+
+    const apiKey = `gsd_${crypto.randomBytes(24).toString('base64url')}`;
+    const key = {
+        id: crypto.randomBytes(6).toString('hex'),
+        label: label || null,
+        scope,
+        prefix: apiKey.slice(0, 8),
+        hash: hashApiKey(apiKey),
+        createdAt: new Date().toISOString()
+    };
+
+    tenants[tenantId].apiKeys = tenants[tenantId].apiKeys || [];
+    tenants[tenantId].apiKeys.push(key);
+    saveTenants();
+
+    return { tenantId, keyId: key.id, scope, apiKey };
+}
+
+/**
+ * Revoke a tenant's API key
+ */
+function revokeApiKey(tenantId, keyId) {
+    const tenant = getRegistry().tenants[tenantId];
+    const key = tenant?.apiKeys?.find(k => k.id === keyId);
+    if (!key) return false;
+
+    key.revokedAt = new Date().toISOString();
+    saveTenants();
+    return true;
+}
+
+/**
+ * Watch for changes to tenants file
+ */
+function watchTenantsFile() {
+    fs.watchFile(TENANTS_PATH, () => {
+        logger.info('Tenants file changed, reloading');
+        loadTenants();
+    }).unref();
+}
+
+// Initialize on module load
+loadTenants();
+watchTenantsFile();
+
+if (!isAuthEnabled()) {
+    logger.warn('No tenants configured - API key authentication is disabled and all requests use the default tenant');
+}
+
+module.exports = {
+    DEFAULT_TENANT_ID,
+    KEY_SCOPES,
+    isAuthEnabled,
+    getTenant,
+    findTenantByApiKey,
+    listTenants,
+    issueApiKey,
+    revokeApiKey
+};
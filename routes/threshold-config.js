@@ -1,20 +1,37 @@
 const fs = require('fs');
 const path = require('path');
+const Ajv = require('ajv');
+const { FileStore, DATA_DIR } = require('./file-store');
+const { DEFAULT_TENANT_ID } = require('./tenants');
+const { logger } = require('./logger');
+
+const THRESHOLDS_PATH = path.join(__dirname, '..', 'thresholds.json');
+const SCHEMA_PATH = path.join(__dirname, '..', 'thresholds.schema.json');
+const TENANT_THRESHOLDS_DIR = path.join(DATA_DIR, 'thresholds');
 
 let thresholds = null;
 
+// Per-tenant overrides, keyed by tenant ID (null = tenant has none)
+const tenantOverrides = new Map();
+
+// Numbered snapshots of every threshold change, per tenant
+const versionStore = new FileStore('threshold-versions');
+
+// $data lets the schema express ordering rules such as likelySpoofed < suspicious
+const ajv = new Ajv({ $data: true, allErrors: true, verbose: true });
+const validateSchema = ajv.compile(JSON.parse(fs.readFileSync(SCHEMA_PATH, 'utf8')));
+
 /**
  * Load thresholds from JSON file
  */
 function loadThresholds() {
     try {
-        const thresholdsPath = path.join(__dirname, '..', 'thresholds.json');
-        const data = fs.readFileSync(thresholdsPath, 'utf8');
+        const data = fs.readFileSync(THRESHOLDS_PATH, 'utf8');
         thresholds = JSON.parse(data);
-        console.log('Thresholds loaded successfully');
+        logger.info('Thresholds loaded');
         return thresholds;
     } catch (error) {
-        console.error('Error loading thresholds.json:', error);
+        logger.error('Error loading thresholds.json', { error });
         // Return default thresholds if file can't be loaded
         return getDefaultThresholds();
     }
@@ -37,6 +54,66 @@ function getDefaultThresholds() {
         vpn: {
             confidence: { detected: 50 }
         },
+        geoip: {
+            distanceKm: { moderate: 250, far: 1000, extreme: 3000 },
+            deductions: { countryMismatch: 30, moderate: 10, far: 25, extreme: 40 }
+        },
+        travel: {
+            speedKmh: { walking: 7, driving: 150, flight: 1000 },
+            minDistanceKm: 1,
+            deductions: { driving: 0, flight: 15, impossible: 40 }
+        },
+        device: {
+            minAttributes: 4,
+            maxAttributeChanges: 1
+        },
+        velocity: {
+            windows: [
+                { dimension: 'ip', windowMinutes: 10, maxSessions: 10, maxDistinctCells: 3 },
+                { dimension: 'ip', windowMinutes: 1440, maxSessions: 200 },
+                { dimension: 'device', windowMinutes: 60, maxSessions: 20, maxDistinctCells: 3 },
+                { dimension: 'account', windowMinutes: 60, maxSessions: 20, maxDistinctCells: 3 }
+            ],
+            locationCellDegrees: 0.1,
+            deductions: { sessions: 15, distinctCells: 25 }
+        },
+        proofOfLocation: {
+            samples: 5,
+            intervalMs: { min: 1000, max: 3000 },
+            timingToleranceMs: 250,
+            submitGraceSeconds: 30,
+            minJitterMeters: 0.5,
+            maxSpeedKmh: 30,
+            deductions: {
+                incomplete: 30,
+                nonMonotonic: 40,
+                tooFast: 40,
+                identical: 30,
+                noJitter: 15,
+                constantAccuracy: 10,
+                implausibleMovement: 30
+            }
+        },
+        monitoring: {
+            checkIntervalSeconds: 30,
+            windowSeconds: 300,
+            maxSpeedKmh: 200,
+            deductions: {
+                environmentDrift: 15,
+                deviceChanged: 40,
+                timezoneChanged: 25,
+                ipChanged: 15,
+                implausibleMovement: 40
+            }
+        },
+        retention: {
+            days: 365
+        },
+        privacy: {
+            ipMode: 'truncate',
+            geohashPrecision: 7,
+            storeLocation: true
+        },
         riskAssessment: {
             averageScore: { high: 40, medium: 70 },
             riskScore: { high: 60, medium: 30 }
@@ -62,13 +139,221 @@ function getDefaultThresholds() {
 }
 
 /**
- * Get thresholds (load if not already loaded)
+ * Get thresholds (load if not already loaded).
+ * With a tenant ID, the tenant's overrides are merged over the base thresholds.
  */
-function getThresholds() {
+function getThresholds(tenantId) {
     if (!thresholds) {
         thresholds = loadThresholds();
     }
-    return thresholds;
+    
+    if (!tenantId || tenantId === DEFAULT_TENANT_ID) {
+        return thresholds;
+    }
+    
+    const overrides = getTenantOverrides(tenantId);
+    return overrides ? mergeThresholds(thresholds, overrides) : thresholds;
+}
+
+/**
+ * Load a tenant's threshold overrides (cached)
+ */
+function getTenantOverrides(tenantId) {
+    if (!tenantOverrides.has(tenantId)) {
+        const overridesPath = path.join(TENANT_THRESHOLDS_DIR, `${tenantId}.json`);
+        try {
+            tenantOverrides.set(tenantId, fs.existsSync(overridesPath)
+                ? JSON.parse(fs.readFileSync(overridesPath, 'utf8'))
+                : null);
+        } catch (error) {
+            logger.error('Error loading tenant thresholds', { tenant: tenantId, error });
+            tenantOverrides.set(tenantId, null);
+        }
+    }
+    return tenantOverrides.get(tenantId);
+}
+
+/**
+ * Deep-merge threshold overrides over a base threshold set
+ */
+function mergeThresholds(base, overrides) {
+    const merged = { ...base };
+    Object.entries(overrides).forEach(([key, value]) => {
+        if (value && typeof value === 'object' && !Array.isArray(value) &&
+            base[key] && typeof base[key] === 'object' && !Array.isArray(base[key])) {
+            merged[key] = mergeThresholds(base[key], value);
+        } else {
+            merged[key] = value;
+        }
+    });
+    return merged;
+}
+
+/**
+ * Save thresholds - the base file for the default tenant, an override file otherwise
+ */
+function saveThresholds(newThresholds, tenantId) {
+    if (!tenantId || tenantId === DEFAULT_TENANT_ID) {
+        fs.writeFileSync(THRESHOLDS_PATH, JSON.stringify(newThresholds, null, 2) + '\n');
+        return reloadThresholds();
+    }
+    
+    fs.mkdirSync(TENANT_THRESHOLDS_DIR, { recursive: true });
+    fs.writeFileSync(path.join(TENANT_THRESHOLDS_DIR, `${tenantId}.json`), JSON.stringify(newThresholds, null, 2));
+    tenantOverrides.delete(tenantId);
+    return getThresholds(tenantId);
+}
+
+/**
+ * Validate a threshold set against thresholds.schema.json.
+ * Tenant overrides are validated merged over the base thresholds.
+ */
+function validateThresholds(candidate, tenantId) {
+    if (!candidate || typeof candidate !== 'object' || Array.isArray(candidate)) {
+        return { valid: false, errors: [{ path: '', message: 'must be an object' }] };
+    }
+
+    const effective = !tenantId || tenantId === DEFAULT_TENANT_ID
+        ? candidate
+        : mergeThresholds(getThresholds(), candidate);
+
+    if (validateSchema(effective)) {
+        return { valid: true, errors: [] };
+    }
+
+    const errors = validateSchema.errors.map(error => {
+        const limit = error.parentSchema?.[error.keyword];
+        const sibling = limit && limit.$data ? limit.$data.split('/').pop() : null;
+        return {
+            path: error.instancePath || '/',
+            message: sibling
+                ? `${error.message} (${sibling})`
+                : error.message
+        };
+    });
+
+    return { valid: false, errors };
+}
+
+/**
+ * List changed leaf values between two threshold sets
+ */
+function diffThresholds(before, after, prefix = '') {
+    const changes = [];
+    const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+    keys.forEach(key => {
+        const from = before ? before[key] : undefined;
+        const to = after ? after[key] : undefined;
+        const keyPath = `${prefix}/${key}`;
+
+        const isObject = value => value && typeof value === 'object' && !Array.isArray(value);
+        if (isObject(from) || isObject(to)) {
+            changes.push(...diffThresholds(isObject(from) ? from : {}, isObject(to) ? to : {}, keyPath));
+        } else if (JSON.stringify(from) !== JSON.stringify(to)) {
+            changes.push({
+                path: keyPath,
+                from: from === undefined ? null : from,
+                to: to === undefined ? null : to
+            });
+        }
+    });
+
+    return changes;
+}
+
+/**
+ * The thresholds a tenant has saved (base file for default, overrides otherwise)
+ */
+function getStoredThresholds(tenantId) {
+    if (!tenantId || tenantId === DEFAULT_TENANT_ID) {
+        return getThresholds();
+    }
+    return getTenantOverrides(tenantId) || {};
+}
+
+function getVersions(tenantId = DEFAULT_TENANT_ID) {
+    return versionStore.filter(v => v.tenantId === tenantId);
+}
+
+/**
+ * The first change for a tenant also records what was in place before it,
+ * so that state can be rolled back to
+ */
+function ensureBaselineVersion(tenantId) {
+    if (getVersions(tenantId).length) {
+        return;
+    }
+
+    versionStore.append({
+        tenantId,
+        version: 1,
+        author: 'system',
+        timestamp: new Date().toISOString(),
+        note: 'Thresholds in place before the first recorded change',
+        rollbackOf: null,
+        diff: [],
+        thresholds: getStoredThresholds(tenantId)
+    });
+}
+
+/**
+ * Record a numbered version with its author (and the author's unverified note) and diff
+ * from the previous version
+ */
+function recordVersion(tenantId, snapshot, { author, authorNote = null, rollbackOf = null }) {
+    const versions = getVersions(tenantId);
+    const previous = versions[versions.length - 1];
+
+    return versionStore.append({
+        tenantId,
+        version: previous.version + 1,
+        author: author || 'anonymous',
+        authorNote,
+        timestamp: new Date().toISOString(),
+        rollbackOf,
+        diff: diffThresholds(previous.thresholds, snapshot),
+        thresholds: snapshot
+    });
+}
+
+/**
+ * Validate, save and version a threshold update.
+ * Returns { valid: false, errors } without saving when validation fails.
+ */
+function updateThresholds(newThresholds, { tenantId = DEFAULT_TENANT_ID, author, authorNote, rollbackOf } = {}) {
+    const validation = validateThresholds(newThresholds, tenantId);
+    if (!validation.valid) {
+        return validation;
+    }
+
+    ensureBaselineVersion(tenantId);
+    const saved = saveThresholds(newThresholds, tenantId);
+    const version = recordVersion(tenantId, newThresholds, { author, authorNote, rollbackOf });
+
+    return { valid: true, version: version.version, thresholds: saved };
+}
+
+/**
+ * Version history for a tenant, newest first (snapshots omitted)
+ */
+function getThresholdHistory(tenantId = DEFAULT_TENANT_ID) {
+    return getVersions(tenantId)
+        .map(({ thresholds: snapshot, tenantId: owner, ...version }) => version)
+        .reverse();
+}
+
+/**
+ * Restore a previous version by saving its snapshot as a new version.
+ * Returns null if the version does not exist.
+ */
+function rollbackThresholds(version, { tenantId = DEFAULT_TENANT_ID, author, authorNote } = {}) {
+    const target = getVersions(tenantId).find(v => v.version === version);
+    if (!target) {
+        return null;
+    }
+
+    return updateThresholds(target.thresholds, { tenantId, author, authorNote, rollbackOf: version });
 }
 
 /**
@@ -79,16 +364,30 @@ function reloadThresholds() {
     return thresholds;
 }
 
+/**
+ * Use thresholds.json with the values from another threshold file merged over it, for this
+ * process only (nothing is saved). Returns the validation result; invalid sets are not applied.
+ */
+function overrideThresholds(overrides) {
+    const merged = overrides && typeof overrides === 'object' && !Array.isArray(overrides)
+        ? mergeThresholds(getThresholds(), overrides)
+        : overrides;
+    const validation = validateThresholds(merged);
+    if (validation.valid) {
+        thresholds = merged;
+    }
+    return validation;
+}
+
 /**
  * Watch for changes to thresholds file
  */
 function watchThresholdsFile() {
-    const thresholdsPath = path.join(__dirname, '..', 'thresholds.json');
-    
-    fs.watchFile(thresholdsPath, (curr, prev) => {
-        console.log('Thresholds file changed, reloading...');
+    // unref() so the watcher never keeps a short-lived process (e.g. the CLI scorer) alive on its own
+    fs.watchFile(THRESHOLDS_PATH, (curr, prev) => {
+        logger.info('Thresholds file changed, reloading');
         reloadThresholds();
-    });
+    }).unref();
 }
 
 // Initialize on module load
@@ -97,5 +396,11 @@ watchThresholdsFile();
 
 module.exports = {
     getThresholds,
-    reloadThresholds
+    reloadThresholds,
+    overrideThresholds,
+    saveThresholds,
+    validateThresholds,
+    updateThresholds,
+    getThresholdHistory,
+    rollbackThresholds
 }; 
\ No newline at end of file
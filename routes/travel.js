@@ -0,0 +1,148 @@
+const { FileStore } = require('./file-store');
+const { getThresholds } = require('./threshold-config');
+const { haversineDistance } = require('./geoip');
+const { protectRecord } = require('./privacy');
+
+// One record per located session, keyed by tenant and account
+const locationStore = new FileStore('account-locations');
+
+/**
+ * Account identifiers are opaque strings chosen by the caller
+ */
+function isValidAccountId(accountId) {
+    return typeof accountId === 'string' && accountId.trim().length > 0 && accountId.length <= 256;
+}
+
+/**
+ * Most recent location recorded for an account (by the time the server received it).
+ * Records dated in the future can only come from client clocks and are ignored.
+ */
+function getLastLocation(accountId, tenantId) {
+    const now = Date.now();
+    return locationStore
+        .filter(r => r.tenantId === tenantId && r.accountId === accountId && Date.parse(r.timestamp) <= now)
+        .reduce((latest, record) =>
+            !latest || Date.parse(record.timestamp) >= Date.parse(latest.timestamp) ? record : latest, null);
+}
+
+/**
+ * Client-reported time as an ISO string, or null when it isn't a valid time
+ */
+function toIsoString(timestamp) {
+    const time = new Date(timestamp);
+    return timestamp !== undefined && timestamp !== null && !isNaN(time) ? time.toISOString() : null;
+}
+
+/**
+ * Travel mode implied by a speed: the first band the speed fits in
+ */
+function classifySpeed(speedKmh, bands) {
+    if (speedKmh <= bands.walking) return 'walking';
+    if (speedKmh <= bands.driving) return 'driving';
+    if (speedKmh <= bands.flight) return 'flight';
+    return 'impossible';
+}
+
+/**
+ * Compare a session's location with the account's previous one and record it.
+ * Distance is reduced by both readings' accuracy so GPS jitter is not counted as travel.
+ * Elapsed time is measured between the times the server received the locations; the client's
+ * reading time (timestamp) is only stored alongside, as it can be set to anything.
+ */
+function checkImpossibleTravel({ accountId, sessionId, latitude, longitude, accuracy, timestamp, tenantId }) {
+    const result = {
+        available: false,
+        previous: null,
+        distanceKm: null,
+        elapsedMinutes: null,
+        speedKmh: null,
+        mode: null,
+        flags: [],
+        deduction: 0
+    };
+
+    if (!accountId || typeof latitude !== 'number' || typeof longitude !== 'number') {
+        return result;
+    }
+
+    const thresholds = getThresholds(tenantId).travel;
+    const time = new Date();
+    const previous = getLastLocation(accountId, tenantId);
+
+    // Stored coarsened (with its accuracy widened to match), or not at all when locations aren't stored
+    const record = protectRecord({
+        tenantId,
+        accountId,
+        sessionId: sessionId || null,
+        latitude,
+        longitude,
+        accuracy: accuracy || null,
+        timestamp: time.toISOString(),
+        clientTimestamp: toIsoString(timestamp)
+    }, tenantId);
+    if (record.latitude !== null) {
+        locationStore.append(record);
+    }
+
+    if (!previous) {
+        return result;
+    }
+
+    const rawDistance = haversineDistance(previous.latitude, previous.longitude, latitude, longitude);
+    const uncertaintyKm = ((previous.accuracy || 0) + (accuracy || 0)) / 1000;
+    const distance = Math.max(0, rawDistance - uncertaintyKm);
+    const elapsedHours = Math.abs(time - Date.parse(previous.timestamp)) / 3600000;
+
+    result.available = true;
+    result.previous = {
+        sessionId: previous.sessionId,
+        coordinates: { latitude: previous.latitude, longitude: previous.longitude },
+        timestamp: previous.timestamp
+    };
+    result.distanceKm = Math.round(rawDistance * 10) / 10;
+    result.elapsedMinutes = Math.round(elapsedHours * 600) / 10;
+
+    // Movement within the noise floor is treated as staying put
+    if (distance < thresholds.minDistanceKm) {
+        result.speedKmh = 0;
+        result.mode = 'stationary';
+        return result;
+    }
+
+    const speed = elapsedHours > 0 ? distance / elapsedHours : Infinity;
+    result.speedKmh = Number.isFinite(speed) ? Math.round(speed) : null;
+    result.mode = classifySpeed(speed, thresholds.speedKmh);
+
+    const speedText = Number.isFinite(speed) ? `${result.speedKmh}km/h` : 'no elapsed time';
+    const from = `${result.distanceKm}km from the previous session (${result.elapsedMinutes} minutes apart)`;
+
+    if (result.mode === 'impossible') {
+        result.flags.push({
+            type: 'fail',
+            message: 'Impossible travel detected',
+            explanation: `Location is ${from} at ${speedText}, faster than a commercial flight (${thresholds.speedKmh.flight}km/h).`
+        });
+    } else if (result.mode === 'flight') {
+        result.flags.push({
+            type: 'warning',
+            message: 'Travel requires a flight',
+            explanation: `Location is ${from} at ${speedText}, faster than driving (${thresholds.speedKmh.driving}km/h).`
+        });
+    } else if (result.mode === 'driving' && thresholds.deductions.driving > 0) {
+        result.flags.push({
+            type: 'warning',
+            message: 'Travel faster than walking',
+            explanation: `Location is ${from} at ${speedText}, faster than walking (${thresholds.speedKmh.walking}km/h).`
+        });
+    }
+
+    result.deduction = thresholds.deductions[result.mode] || 0;
+
+    return result;
+}
+
+module.exports = {
+    isValidAccountId,
+    getLastLocation,
+    checkImpossibleTravel
+};
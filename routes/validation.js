@@ -0,0 +1,162 @@
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const spec = require('../openapi.json');
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+function createAjv(options) {
+    const ajv = new Ajv({ allErrors: true, verbose: true, strict: false, ...options });
+    addFormats(ajv);
+    ajv.addSchema(spec, 'openapi.json');
+    return ajv;
+}
+
+// Bodies are validated as sent; query strings and path parameters arrive as strings
+const bodyAjv = createAjv();
+const paramAjv = createAjv({ coerceTypes: true });
+
+/**
+ * JSON pointer to a location in openapi.json
+ */
+function pointer(...segments) {
+    return 'openapi.json#/' + segments
+        .map(segment => String(segment).replace(/~/g, '~0').replace(/\//g, '~1'))
+        .join('/');
+}
+
+/**
+ * Validator for the parameters of one location (query or path), or null when there are none
+ */
+function compileParameters(parameters, location) {
+    const selected = parameters.filter(parameter => parameter.in === location);
+    if (!selected.length) return null;
+
+    return paramAjv.compile({
+        type: 'object',
+        required: selected.filter(parameter => parameter.required).map(parameter => parameter.name),
+        properties: Object.fromEntries(selected.map(parameter => [parameter.name, parameter.schema]))
+    });
+}
+
+/**
+ * Compiled validators for every operation in the spec.
+ * Paths without parameters come first so /api/location/proof wins over /api/location/proof/{proofId}.
+ */
+const operations = Object.entries(spec.paths).flatMap(([template, pathItem]) => {
+    const parameterNames = (template.match(/\{[^}]+\}/g) || []).map(name => name.slice(1, -1));
+    const pattern = new RegExp('^' + template
+        .replace(/[.*+?^$()|[\]\\]/g, '\\$&')
+        .replace(/\{[^}]+\}/g, '([^/]+)') + '$');
+
+    return METHODS.filter(method => pathItem[method]).map(method => {
+        const operation = pathItem[method];
+        const parameters = [...(pathItem.parameters || []), ...(operation.parameters || [])];
+        const body = operation.requestBody?.content?.['application/json'];
+
+        return {
+            method: method.toUpperCase(),
+            template,
+            pattern,
+            parameterNames,
+            validatePath: compileParameters(parameters, 'path'),
+            validateQuery: compileParameters(parameters, 'query'),
+            validateBody: body
+                ? bodyAjv.compile({ $ref: pointer('paths', template, method, 'requestBody', 'content', 'application/json', 'schema') })
+                : null,
+            bodyRequired: Boolean(operation.requestBody?.required),
+            // Other declared body formats (e.g. NDJSON uploads) are read by the handler itself
+            otherBodyTypes: Object.keys(operation.requestBody?.content || {}).filter(type => type !== 'application/json')
+        };
+    });
+}).sort((a, b) => a.parameterNames.length - b.parameterNames.length);
+
+function decodeParameter(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch (error) {
+        return value;
+    }
+}
+
+function findOperation(method, path) {
+    const normalized = path.length > 1 ? path.replace(/\/+$/, '') : path;
+    for (const operation of operations) {
+        if (operation.method !== method) continue;
+        const match = normalized.match(operation.pattern);
+        if (match) {
+            const params = Object.fromEntries(operation.parameterNames.map((name, i) => [name, decodeParameter(match[i + 1])]));
+            return { operation, params };
+        }
+    }
+    return null;
+}
+
+/**
+ * Readable errors: missing properties point at the property itself, and a failed
+ * anyOf is reported once instead of once per alternative
+ */
+function formatErrors(errors, location) {
+    const anyOfPaths = new Set(errors.filter(error => error.keyword === 'anyOf').map(error => error.instancePath));
+    const seen = new Set();
+
+    return errors
+        .filter(error => error.keyword === 'anyOf' || !(anyOfPaths.has(error.instancePath) && error.schemaPath.includes('/anyOf/')))
+        .map(error => {
+            if (error.keyword === 'required') {
+                return { in: location, path: `${error.instancePath}/${error.params.missingProperty}`, message: 'is required' };
+            }
+            if (error.keyword === 'anyOf') {
+                const types = error.schema.map(option => option.type).filter(Boolean);
+                return { in: location, path: error.instancePath || '/', message: types.length ? `must be ${types.join(' or ')}` : error.message };
+            }
+            return { in: location, path: error.instancePath || '/', message: error.message };
+        })
+        .filter(error => {
+            const key = `${error.in}|${error.path}|${error.message}`;
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+}
+
+function check(validate, data, location) {
+    if (!validate || validate(data)) return [];
+    return formatErrors(validate.errors, location);
+}
+
+/**
+ * Reject requests whose path parameters, query string or JSON body don't match openapi.json.
+ * Routes that aren't in the spec are passed through untouched.
+ */
+function validateRequest(req, res, next) {
+    const found = findOperation(req.method, req.baseUrl + req.path);
+    if (!found) {
+        return next();
+    }
+
+    const { operation, params } = found;
+    const hasBody = req.body !== undefined && !(typeof req.body === 'object' && req.body !== null &&
+        !Array.isArray(req.body) && Object.keys(req.body).length === 0);
+    const jsonBody = !operation.otherBodyTypes.length || Boolean(req.is('application/json'));
+
+    // Copies, so type coercion for validation doesn't change what the handlers see
+    const errors = [
+        ...check(operation.validatePath, params, 'path'),
+        ...check(operation.validateQuery, { ...req.query }, 'query'),
+        ...(jsonBody && (operation.bodyRequired || hasBody) ? check(operation.validateBody, req.body, 'body') : [])
+    ];
+
+    if (errors.length) {
+        return res.status(400).json({
+            error: 'Invalid request',
+            errors
+        });
+    }
+
+    next();
+}
+
+module.exports = {
+    validateRequest,
+    spec
+};
@@ -0,0 +1,140 @@
+const { getThresholds } = require('./threshold-config');
+
+// Recent sessions per tenant and subject ("<tenantId>|<dimension>|<value>"), kept in memory
+const events = new Map();
+
+const DIMENSION_LABELS = {
+    ip: 'IP',
+    device: 'device',
+    account: 'account'
+};
+
+// Events older than the longest configured window are dropped periodically
+const SWEEP_INTERVAL_MS = 10 * 60 * 1000;
+let longestWindowMs = 24 * 60 * 60 * 1000;
+
+/**
+ * Grid cell (locationCellDegrees square) for a claimed location, so nearby readings count as the same cell.
+ * Cells are not places: two readings a few metres apart can still fall on either side of a cell edge.
+ */
+function locationCell(latitude, longitude, cellDegrees) {
+    if (typeof latitude !== 'number' || typeof longitude !== 'number') return null;
+    return `${Math.floor(latitude / cellDegrees)}:${Math.floor(longitude / cellDegrees)}`;
+}
+
+function formatWindow(minutes) {
+    if (minutes % 1440 === 0) return minutes === 1440 ? '24 hours' : `${minutes / 1440} days`;
+    if (minutes % 60 === 0) return minutes === 60 ? '1 hour' : `${minutes / 60} hours`;
+    return minutes === 1 ? '1 minute' : `${minutes} minutes`;
+}
+
+/**
+ * Record a session for its IP, device and account and check every velocity window.
+ * Events with the same id are counted once, so several checks of one session
+ * (e.g. location and session analysis within /assess) don't inflate the counts.
+ */
+function trackVelocity({ id, tenantId, ip, deviceId, accountId, latitude, longitude, time = Date.now() }) {
+    const thresholds = getThresholds(tenantId).velocity;
+    const result = { counts: [], flags: [], deduction: 0 };
+
+    const subjects = {
+        ip: ip && ip !== 'unknown' ? ip : null,
+        device: deviceId || null,
+        account: accountId || null
+    };
+    const cell = locationCell(latitude, longitude, thresholds.locationCellDegrees);
+    const maxWindowMs = Math.max(...thresholds.windows.map(w => w.windowMinutes)) * 60000;
+    longestWindowMs = Math.max(longestWindowMs, maxWindowMs);
+
+    // Record the event for each known subject
+    const history = {};
+    Object.entries(subjects).forEach(([dimension, value]) => {
+        if (!value) return;
+        const key = `${tenantId}|${dimension}|${value}`;
+        const list = (events.get(key) || []).filter(e => e.time > time - maxWindowMs);
+        const existing = id ? list.find(e => e.id === id) : null;
+
+        if (existing) {
+            existing.cell = existing.cell || cell;
+        } else {
+            list.push({ id: id || null, time, cell });
+        }
+
+        events.set(key, list);
+        history[dimension] = list;
+    });
+
+    // Check each window against the subject's recent events
+    thresholds.windows.forEach(window => {
+        const list = history[window.dimension];
+        if (!list) return;
+
+        const recent = list.filter(e => e.time > time - window.windowMinutes * 60000);
+        const sessions = recent.length;
+        const distinctCells = new Set(recent.map(e => e.cell).filter(Boolean)).size;
+        const tooManySessions = sessions > window.maxSessions;
+        const tooManyCells = window.maxDistinctCells !== undefined && distinctCells > window.maxDistinctCells;
+
+        result.counts.push({
+            dimension: window.dimension,
+            windowMinutes: window.windowMinutes,
+            sessions,
+            distinctCells,
+            exceeded: tooManySessions || tooManyCells
+        });
+
+        if (!tooManySessions && !tooManyCells) return;
+
+        const label = DIMENSION_LABELS[window.dimension];
+        const period = formatWindow(window.windowMinutes);
+        const cellSize = `~${Math.round(thresholds.locationCellDegrees * 111)}km grid cells`;
+        const limits = [`${window.maxSessions} sessions`];
+        if (window.maxDistinctCells !== undefined) {
+            limits.push(`${window.maxDistinctCells} ${cellSize} of claimed locations`);
+        }
+
+        result.flags.push({
+            type: tooManyCells ? 'fail' : 'warning',
+            message: `${sessions} sessions from this ${label} in ${period}` +
+                (distinctCells > 1 ? `, claimed locations in ${distinctCells} ${cellSize}` : ''),
+            explanation: `The limit for one ${label} is ${limits.join(' and ')} in ${period}.`
+        });
+        if (tooManySessions) result.deduction += thresholds.deductions.sessions;
+        if (tooManyCells) result.deduction += thresholds.deductions.distinctCells;
+    });
+
+    return result;
+}
+
+/**
+ * Drop events that have left every window
+ */
+function sweepEvents() {
+    const cutoff = Date.now() - longestWindowMs;
+    events.forEach((list, key) => {
+        const kept = list.filter(e => e.time > cutoff);
+        if (kept.length) {
+            events.set(key, kept);
+        } else {
+            events.delete(key);
+        }
+    });
+}
+
+/**
+ * Forget a subject's recent sessions (subject deletion). Returns the number of events dropped.
+ */
+function forgetVelocitySubject(tenantId, dimension, value) {
+    const key = `${tenantId}|${dimension}|${value}`;
+    const count = (events.get(key) || []).length;
+    events.delete(key);
+    return count;
+}
+
+// unref() so the sweep never keeps the process alive on its own
+setInterval(sweepEvents, SWEEP_INTERVAL_MS).unref();
+
+module.exports = {
+    trackVelocity,
+    forgetVelocitySubject
+};
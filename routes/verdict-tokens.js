@@ -0,0 +1,205 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { DATA_DIR } = require('./file-store');
+const { logger } = require('./logger');
+
+const KEYS_PATH = process.env.VERDICT_KEYS_FILE || path.join(DATA_DIR, 'verdict-keys.json');
+
+// A new signing key takes over once the current one has signed for this long
+const ROTATION_MS = (parseFloat(process.env.VERDICT_KEY_ROTATION_HOURS) || 24) * 60 * 60 * 1000;
+
+// How long verifiers may cache the JWKS (its Cache-Control max-age)
+const JWKS_MAX_AGE_SECONDS = 300;
+
+// The next key is published in the JWKS this long before it starts signing, so every cached
+// copy of the JWKS has been refreshed and holds it by then
+const PUBLISH_AHEAD_MS = 2 * JWKS_MAX_AGE_SECONDS * 1000;
+
+// Lifetime of issued tokens; retired keys stay in the JWKS until their last token expires
+const TOKEN_TTL_SECONDS = parseInt(process.env.VERDICT_TOKEN_TTL_SECONDS, 10) || 300;
+
+const ISSUER = process.env.VERDICT_TOKEN_ISSUER || 'geo-spoofer-detector';
+
+const ALGORITHM = 'ES256';
+
+let keys = null;
+
+function base64url(value) {
+    return Buffer.from(typeof value === 'string' ? value : JSON.stringify(value)).toString('base64url');
+}
+
+/**
+ * Load signing keys from disk
+ */
+function loadKeys() {
+    try {
+        keys = fs.existsSync(KEYS_PATH)
+            ? JSON.parse(fs.readFileSync(KEYS_PATH, 'utf8')).keys || []
+            : [];
+    } catch (error) {
+        logger.error('Error loading verdict signing keys', { error });
+        keys = [];
+    }
+    return keys;
+}
+
+/**
+ * Write signing keys to disk (private keys, so owner-only permissions)
+ */
+function saveKeys() {
+    fs.mkdirSync(path.dirname(KEYS_PATH), { recursive: true });
+    fs.writeFileSync(KEYS_PATH, JSON.stringify({ keys }, null, 2), { mode: 0o600 });
+}
+
+function createKey(activatesAt) {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    return {
+        kid: crypto.randomBytes(8).toString('hex'),
+        createdAt: new Date().toISOString(),
+        activatesAt: new Date(activatesAt).toISOString(),
+        privateJwk: privateKey.export({ format: 'jwk' }),
+        publicJwk: publicKey.export({ format: 'jwk' })
+    };
+}
+
+// When a key starts signing (keys saved before activatesAt existed signed from creation)
+function activation(key) {
+    return Date.parse(key.activatesAt || key.createdAt);
+}
+
+/**
+ * Get the current signing key, rotating and pruning keys as needed.
+ * The next key is added PUBLISH_AHEAD_MS before it takes over, so it is in the JWKS first.
+ */
+function getSigningKey() {
+    if (!keys) {
+        loadKeys();
+    }
+
+    const now = Date.now();
+    let changed = false;
+
+    if (!keys.length) {
+        keys.push(createKey(now));
+        changed = true;
+    }
+
+    // Keys are kept in activation order: the current key is the last one that has activated
+    const current = keys.filter(key => activation(key) <= now).pop() || keys[0];
+    const next = keys[keys.indexOf(current) + 1];
+    const rotatesAt = activation(current) + ROTATION_MS;
+    if (!next && now >= rotatesAt - PUBLISH_AHEAD_MS) {
+        keys.push(createKey(Math.max(rotatesAt, now + PUBLISH_AHEAD_MS)));
+        changed = true;
+    }
+
+    // A key is retired when its successor activates; drop it once its last token has expired
+    const kept = keys.filter((key, index) => {
+        const successor = keys[index + 1];
+        return !successor || now - activation(successor) < TOKEN_TTL_SECONDS * 1000;
+    });
+    if (kept.length !== keys.length) {
+        keys = kept;
+        changed = true;
+    }
+
+    if (changed) {
+        saveKeys();
+    }
+
+    return current;
+}
+
+/**
+ * Public keys for verifying verdict tokens, as a JSON Web Key Set: the current key,
+ * retired keys whose tokens may still be valid, and the next key once it is published
+ */
+function getJwks() {
+    getSigningKey();
+    return {
+        keys: keys.map(key => ({
+            ...key.publicJwk,
+            kid: key.kid,
+            use: 'sig',
+            alg: ALGORITHM
+        }))
+    };
+}
+
+/**
+ * Sign an assessment verdict as a JWT (ES256).
+ * The nonce claim is the challenge nonce the verdict answers (random when there was none).
+ */
+function signVerdict({ sessionId, verdict, score, risk, action, tenantId, nonce }) {
+    const key = getSigningKey();
+    const iat = Math.floor(Date.now() / 1000);
+
+    const header = { alg: ALGORITHM, typ: 'JWT', kid: key.kid };
+    const claims = {
+        iss: ISSUER,
+        aud: tenantId,
+        sessionId,
+        verdict,
+        score,
+        risk,
+        action,
+        iat,
+        exp: iat + TOKEN_TTL_SECONDS,
+        nonce: nonce || crypto.randomBytes(16).toString('base64url')
+    };
+
+    const signingInput = `${base64url(header)}.${base64url(claims)}`;
+    const signature = crypto.sign('sha256', Buffer.from(signingInput), {
+        key: crypto.createPrivateKey({ key: key.privateJwk, format: 'jwk' }),
+        dsaEncoding: 'ieee-p1363'
+    });
+
+    return `${signingInput}.${signature.toString('base64url')}`;
+}
+
+/**
+ * Verify a verdict token against the current key set.
+ * Returns the claims, or null if the signature, issuer or expiry is invalid.
+ */
+function verifyVerdictToken(token) {
+    const [encodedHeader, encodedClaims, encodedSignature] = String(token).split('.');
+    if (!encodedHeader || !encodedClaims || !encodedSignature) {
+        return null;
+    }
+
+    try {
+        const header = JSON.parse(Buffer.from(encodedHeader, 'base64url').toString());
+        const jwk = getJwks().keys.find(key => key.kid === header.kid);
+        if (header.alg !== ALGORITHM || !jwk) {
+            return null;
+        }
+
+        const valid = crypto.verify(
+            'sha256',
+            Buffer.from(`${encodedHeader}.${encodedClaims}`),
+            { key: crypto.createPublicKey({ key: jwk, format: 'jwk' }), dsaEncoding: 'ieee-p1363' },
+            Buffer.from(encodedSignature, 'base64url')
+        );
+        if (!valid) {
+            return null;
+        }
+
+        const claims = JSON.parse(Buffer.from(encodedClaims, 'base64url').toString());
+        if (claims.iss !== ISSUER || claims.exp < Math.floor(Date.now() / 1000)) {
+            return null;
+        }
+
+        return claims;
+    } catch (error) {
+        return null;
+    }
+}
+
+module.exports = {
+    signVerdict,
+    verifyVerdictToken,
+    getJwks,
+    TOKEN_TTL_SECONDS,
+    JWKS_MAX_AGE_SECONDS
+};
@@ -1,5 +1,9 @@
 const axios = require('axios');
 const { getThresholds } = require('./threshold-config');
+const { createLogger } = require('./logger');
+const { recordVpnProviderCall } = require('./metrics');
+
+const log = createLogger({ component: 'vpn-detection' });
 
 // VPN Detection Services Configuration
 const VPN_DETECTION_SERVICES = {
@@ -55,7 +59,7 @@ const VPN_DETECTION_SERVICES = {
 /**
  * Detect VPN using multiple services
  */
-async function detectVPN(ip) {
+async function detectVPN(ip, tenantId) {
     const results = {
         ip: ip,
         isVPN: false,
@@ -75,34 +79,34 @@ async function detectVPN(ip) {
     // IPInfo.io Detection
     if (VPN_DETECTION_SERVICES.IPINFO.enabled) {
         detectionPromises.push(
-            checkIPInfo(ip).catch(err => ({ error: err.message }))
+            callProvider('ipinfo', checkIPInfo, ip)
         );
     }
     
     // VPN API Detection (most accurate for VPN detection)
     if (VPN_DETECTION_SERVICES.VPNAPI.enabled) {
         detectionPromises.push(
-            checkVPNAPI(ip).catch(err => ({ error: err.message }))
+            callProvider('vpnapi', checkVPNAPI, ip)
         );
     }
     
     // IPQualityScore Detection
     if (VPN_DETECTION_SERVICES.IPQUALITYSCORE.enabled) {
         detectionPromises.push(
-            checkIPQualityScore(ip).catch(err => ({ error: err.message }))
+            callProvider('ipqualityscore', checkIPQualityScore, ip)
         );
     }
     
     // IPHub Detection
     if (VPN_DETECTION_SERVICES.IPHUB.enabled) {
         detectionPromises.push(
-            checkIPHub(ip).catch(err => ({ error: err.message }))
+            callProvider('iphub', checkIPHub, ip)
         );
     }
     
     // Free IPAPI Detection (always try as fallback)
     detectionPromises.push(
-        checkIPAPIFree(ip).catch(err => ({ error: err.message }))
+        callProvider('ipapi_free', checkIPAPIFree, ip)
     );
     
     // Wait for all checks to complete
@@ -122,7 +126,7 @@ async function detectVPN(ip) {
         }
     });
     
-    const thresholds = getThresholds();
+    const thresholds = getThresholds(tenantId);
     
     // Calculate confidence based on how many services detected VPN
     results.confidence = Math.round((vpnDetections / totalChecks) * 100);
@@ -139,6 +143,37 @@ async function detectVPN(ip) {
     return results;
 }
 
+/**
+ * Run one provider check and log its outcome and duration. The entry carries the
+ * request ID of the request that triggered the lookup. Failures resolve to { error }.
+ */
+async function callProvider(provider, check, ip) {
+    const startedAt = Date.now();
+    try {
+        const result = await check(ip);
+        recordVpnProviderCall(provider, 'success', Date.now() - startedAt);
+        log.info('VPN provider call', {
+            provider,
+            ip,
+            durationMs: Date.now() - startedAt,
+            outcome: 'ok',
+            isVPN: Boolean(result.isVPN)
+        });
+        return result;
+    } catch (error) {
+        recordVpnProviderCall(provider, 'error', Date.now() - startedAt);
+        log.warn('VPN provider call failed', {
+            provider,
+            ip,
+            durationMs: Date.now() - startedAt,
+            outcome: 'error',
+            error: error.message,
+            status: error.response?.status
+        });
+        return { error: error.message };
+    }
+}
+
 /**
  * Check if IP is private
  */
@@ -353,5 +388,6 @@ function getVPNExplanation(results) {
 module.exports = {
     detectVPN,
     getVPNExplanation,
+    isPrivateIP,
     VPN_DETECTION_SERVICES
 }; 
\ No newline at end of file
@@ -0,0 +1,372 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+const axios = require('axios');
+const { FileStore, DATA_DIR } = require('./file-store');
+const { protectRecord } = require('./privacy');
+const { logger } = require('./logger');
+
+const SUBSCRIPTIONS_PATH = path.join(DATA_DIR, 'webhooks.json');
+
+// Event types a subscription can filter on ('*' matches all of them)
+const WEBHOOK_EVENTS = [
+    'session.high_risk',
+    'location.likely_spoofed',
+    'monitor.risk_changed'
+];
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 6;
+const RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 10000;
+const REQUEST_TIMEOUT_MS = 10000;
+
+// Lets webhooks reach loopback and private networks, e.g. a receiver on localhost during development
+const ALLOW_PRIVATE_URLS = process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true';
+
+// Addresses webhooks may not be sent to: loopback, private, link-local (including the cloud
+// metadata service at 169.254.169.254), carrier-grade NAT, multicast and reserved ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([prefix, bits]) => BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv4'));
+// IPv4-mapped addresses (::ffff:10.0.0.1) are checked against the IPv4 ranges; NAT64 ones are blocked outright
+[
+    ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([prefix, bits]) => BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv6'));
+
+// One record per delivery attempt; the latest record for a delivery is its current state
+const deliveryStore = new FileStore('webhook-deliveries');
+
+let subscriptions = null;
+
+/**
+ * Load webhook subscriptions from disk
+ */
+function loadSubscriptions() {
+    try {
+        subscriptions = fs.existsSync(SUBSCRIPTIONS_PATH)
+            ? JSON.parse(fs.readFileSync(SUBSCRIPTIONS_PATH, 'utf8')).subscriptions || []
+            : [];
+    } catch (error) {
+        logger.error('Error loading webhook subscriptions', { error });
+        subscriptions = [];
+    }
+    return subscriptions;
+}
+
+function getSubscriptions() {
+    if (!subscriptions) {
+        loadSubscriptions();
+    }
+    return subscriptions;
+}
+
+function saveSubscriptions() {
+    fs.mkdirSync(path.dirname(SUBSCRIPTIONS_PATH), { recursive: true });
+    fs.writeFileSync(SUBSCRIPTIONS_PATH, JSON.stringify({ subscriptions }, null, 2), { mode: 0o600 });
+}
+
+// Subscriptions are returned without their signing secret
+function publicSubscription({ secret, ...subscription }) {
+    return subscription;
+}
+
+function isBlockedAddress(address) {
+    const family = net.isIP(address);
+    return !ALLOW_PRIVATE_URLS && (!family || BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4'));
+}
+
+/**
+ * dns.lookup that fails for blocked addresses. Deliveries connect through it, so a host that
+ * resolved to a public address when the subscription was created can't be re-pointed at an
+ * internal one later (DNS rebinding).
+ */
+function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, options, (error, address, family) => {
+        if (error) return callback(error);
+
+        const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+        if (addresses.some(isBlockedAddress)) {
+            return callback(new Error(`Webhook host ${hostname} resolves to a private address`));
+        }
+        callback(null, address, family);
+    });
+}
+
+const deliveryAgents = {
+    httpAgent: new http.Agent({ lookup: publicLookup }),
+    httpsAgent: new https.Agent({ lookup: publicLookup })
+};
+
+/**
+ * Check that a webhook URL's host is public: an IP literal outside the blocked ranges or a
+ * name that only resolves to such addresses
+ */
+async function checkPublicHost(url) {
+    const hostname = url.hostname.replace(/^\[|\]$/g, '');
+    const addresses = net.isIP(hostname)
+        ? [hostname]
+        : (await dns.promises.lookup(hostname, { all: true })).map(entry => entry.address);
+
+    if (addresses.some(isBlockedAddress)) {
+        throw new Error('Webhook URL not allowed');
+    }
+}
+
+/**
+ * List a tenant's subscriptions
+ */
+function listSubscriptions(tenantId) {
+    return getSubscriptions()
+        .filter(s => s.tenantId === tenantId)
+        .map(publicSubscription);
+}
+
+/**
+ * Create a subscription. The signing secret is only returned here.
+ * URLs whose host is or resolves to a private, loopback or link-local address are rejected.
+ */
+async function createSubscription(tenantId, { url, events, description }) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        throw new Error('Invalid webhook URL');
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+        throw new Error('Invalid webhook URL');
+    }
+
+    try {
+        await checkPublicHost(parsed);
+    } catch (error) {
+        throw new Error(error.message === 'Webhook URL not allowed' ? error.message : 'Invalid webhook URL');
+    }
+
+    const eventFilter = Array.isArray(events) && events.length ? events : ['*'];
+    if (eventFilter.some(event => event !== '*' && !WEBHOOK_EVENTS.includes(event))) {
+        throw new Error('Invalid event type');
+    }
+
+    const subscription = {
+        id: `wh_${crypto.randomBytes(8).toString('hex')}`,
+        tenantId,
+        url: parsed.toString(),
+        events: eventFilter,
+        description: description || null,
+        secret: `whsec_${crypto.randomBytes(24).toString('base64url')}`,
+        createdAt: new Date().toISOString()
+    };
+
+    getSubscriptions().push(subscription);
+    saveSubscriptions();
+
+    return subscription;
+}
+
+/**
+ * Delete a tenant's subscription (pending retries for it are dropped)
+ */
+function deleteSubscription(tenantId, subscriptionId) {
+    const index = getSubscriptions().findIndex(s => s.id === subscriptionId && s.tenantId === tenantId);
+    if (index === -1) return false;
+
+    subscriptions.splice(index, 1);
+    saveSubscriptions();
+    return true;
+}
+
+/**
+ * Sign a payload: HMAC-SHA256 over "<timestamp>.<body>" with the subscription secret
+ */
+function signPayload(secret, timestamp, body) {
+    const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `t=${timestamp},v1=${signature}`;
+}
+
+// Exponential backoff with jitter: base, 2x base, 4x base, ...
+function getRetryDelay(attempt) {
+    const delay = RETRY_BASE_MS * Math.pow(2, attempt - 1);
+    return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+/**
+ * Attempt one delivery and schedule a retry if it fails
+ */
+async function attemptDelivery(delivery, attempt) {
+    const subscription = getSubscriptions().find(s => s.id === delivery.subscriptionId);
+    if (!subscription) {
+        deliveryStore.append({ ...delivery, attempt, status: 'cancelled', error: 'Subscription deleted', timestamp: new Date().toISOString() });
+        return;
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    let statusCode = null;
+    let error = null;
+
+    try {
+        // IP literals never reach the agents' lookup, so they are checked here
+        const hostname = new URL(subscription.url).hostname.replace(/^\[|\]$/g, '');
+        if (net.isIP(hostname) && isBlockedAddress(hostname)) {
+            throw new Error(`Webhook host ${hostname} is a private address`);
+        }
+
+        const response = await axios.post(subscription.url, body, {
+            ...deliveryAgents,
+            timeout: REQUEST_TIMEOUT_MS,
+            // A redirect could point anywhere; receivers must answer at the subscribed URL
+            maxRedirects: 0,
+            // Through a proxy the lookup would check the proxy's address, not the receiver's
+            proxy: false,
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'geo-spoofer-detector-webhooks',
+                'X-Webhook-Id': delivery.deliveryId,
+                'X-Webhook-Event': delivery.event,
+                'X-Webhook-Signature': signPayload(subscription.secret, timestamp, body)
+            },
+            validateStatus: () => true
+        });
+        statusCode = response.status;
+        if (statusCode < 200 || statusCode >= 300) {
+            error = `HTTP ${statusCode}`;
+        }
+    } catch (requestError) {
+        error = requestError.message;
+    }
+
+    const record = {
+        deliveryId: delivery.deliveryId,
+        subscriptionId: delivery.subscriptionId,
+        tenantId: delivery.tenantId,
+        event: delivery.event,
+        attempt,
+        statusCode,
+        error,
+        timestamp: new Date().toISOString()
+    };
+
+    if (!error) {
+        deliveryStore.append({ ...record, status: 'delivered' });
+    } else if (attempt >= MAX_ATTEMPTS) {
+        deliveryStore.append({ ...record, status: 'failed' });
+    } else {
+        const delay = getRetryDelay(attempt);
+        deliveryStore.append({ ...record, status: 'retrying', nextAttemptAt: new Date(Date.now() + delay).toISOString() });
+        scheduleDelivery(delivery, attempt + 1, delay);
+    }
+}
+
+function scheduleDelivery(delivery, attempt, delay) {
+    // unref() so pending retries never keep the process alive on their own
+    setTimeout(() => {
+        attemptDelivery(delivery, attempt).catch(error => logger.error('Webhook delivery error', { error }));
+    }, delay).unref();
+}
+
+/**
+ * Emit an event to every matching subscription of the tenant.
+ * Delivery happens in the background; this never throws.
+ */
+function emitWebhookEvent(tenantId, event, data) {
+    try {
+        const matching = getSubscriptions().filter(s =>
+            s.tenantId === tenantId && (s.events.includes('*') || s.events.includes(event))
+        );
+        if (!matching.length) return;
+
+        const payload = {
+            id: `evt_${crypto.randomBytes(8).toString('hex')}`,
+            type: event,
+            tenantId,
+            createdAt: new Date().toISOString(),
+            // Payloads are kept in the delivery log, so they follow the tenant's privacy policy
+            data: protectRecord(data, tenantId)
+        };
+
+        matching.forEach(subscription => {
+            const delivery = {
+                deliveryId: `dlv_${crypto.randomBytes(8).toString('hex')}`,
+                subscriptionId: subscription.id,
+                tenantId,
+                event,
+                payload
+            };
+            deliveryStore.append({ ...delivery, attempt: 0, status: 'queued', timestamp: payload.createdAt });
+            scheduleDelivery(delivery, 1, 0);
+        });
+    } catch (error) {
+        logger.error('Webhook emit error', { error });
+    }
+}
+
+/**
+ * Delivery log for a tenant, newest first: one entry per delivery with all its attempts
+ */
+function getDeliveryLog(tenantId, { subscriptionId, status, limit } = {}) {
+    const deliveries = new Map();
+
+    deliveryStore.filter(r => r.tenantId === tenantId).forEach(record => {
+        const { payload, attempt, statusCode, error, timestamp, nextAttemptAt, ...summary } = record;
+
+        if (!deliveries.has(record.deliveryId)) {
+            deliveries.set(record.deliveryId, { ...summary, payload, createdAt: timestamp, attempts: [] });
+        }
+
+        const delivery = deliveries.get(record.deliveryId);
+        delivery.status = record.status;
+        delivery.nextAttemptAt = nextAttemptAt || null;
+        if (attempt > 0) {
+            delivery.attempts.push({ attempt, statusCode, error, status: record.status, timestamp });
+        }
+    });
+
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200);
+
+    return [...deliveries.values()]
+        .filter(d => (!subscriptionId || d.subscriptionId === subscriptionId) && (!status || d.status === status))
+        .reverse()
+        .slice(0, pageSize);
+}
+
+/**
+ * Re-schedule deliveries that were still queued or retrying when the process stopped.
+ * Called by the server at startup, not on module load, so scripts that load the scoring code don't send webhooks.
+ */
+function resumePendingDeliveries() {
+    const latest = new Map();
+    const payloads = new Map();
+
+    deliveryStore.all().forEach(record => {
+        latest.set(record.deliveryId, record);
+        if (record.payload) payloads.set(record.deliveryId, record.payload);
+    });
+
+    latest.forEach(record => {
+        if (record.status !== 'queued' && record.status !== 'retrying') return;
+
+        const delay = record.nextAttemptAt ? Math.max(Date.parse(record.nextAttemptAt) - Date.now(), 0) : 0;
+        scheduleDelivery({
+            deliveryId: record.deliveryId,
+            subscriptionId: record.subscriptionId,
+            tenantId: record.tenantId,
+            event: record.event,
+            payload: payloads.get(record.deliveryId)
+        }, record.attempt + 1, delay);
+    });
+}
+
+module.exports = {
+    WEBHOOK_EVENTS,
+    listSubscriptions,
+    createSubscription,
+    deleteSubscription,
+    emitWebhookEvent,
+    getDeliveryLog,
+    resumePendingDeliveries
+};
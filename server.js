@@ -5,6 +5,8 @@ const compression = require('compression');
 const rateLimit = require('express-rate-limit');
 const path = require('path');
 require('dotenv').config();
+const { logger, requestLogger } = require('./routes/logger');
+const { metricsMiddleware, metricsHandler } = require('./routes/metrics');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -12,6 +14,10 @@ const PORT = process.env.PORT || 3000;
 // Trust proxy for proper IP handling
 app.set('trust proxy', true);
 
+// Request IDs and access logging (first, so every later log line carries the request ID)
+app.use(requestLogger);
+app.use(metricsMiddleware);
+
 // Middleware
 app.use(helmet({
     contentSecurityPolicy: {
@@ -26,6 +32,8 @@ app.use(helmet({
 }));
 app.use(cors());
 app.use(compression());
+// Batch uploads can hold hundreds of sessions (NDJSON uploads are streamed by the batch route instead)
+app.use('/api/batch', express.json({ limit: process.env.BATCH_MAX_BYTES || '50mb' }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
@@ -49,9 +57,42 @@ app.get('/thresholds.json', (req, res) => {
     res.sendFile(path.join(__dirname, 'thresholds.json'));
 });
 
+// Serve the active session rules (JSON or YAML source) to the browser
+const { getRuleSet } = require('./routes/session-rules');
+app.get('/session-rules.json', (req, res) => {
+    res.json(getRuleSet());
+});
+
+// Public keys for verifying signed verdict tokens
+const { getJwks, JWKS_MAX_AGE_SECONDS } = require('./routes/verdict-tokens');
+app.get('/.well-known/jwks.json', (req, res) => {
+    res.set('Cache-Control', `public, max-age=${JWKS_MAX_AGE_SECONDS}`);
+    res.json(getJwks());
+});
+
+// OpenAPI document (public, so the docs page works without an API key)
+const { spec } = require('./routes/validation');
+app.get('/api/openapi.json', (req, res) => {
+    res.json(spec);
+});
+app.get('/docs', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'api-docs.html'));
+});
+
+// Support agents' view of a live session's event stream
+app.get('/live', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'live-session.html'));
+});
+
 // API Routes
+const { authenticateApiKey } = require('./routes/auth');
+const { attachMonitoring } = require('./routes/monitoring');
+const { startRetentionPurge } = require('./routes/retention');
+const { resumePendingDeliveries } = require('./routes/webhooks');
+const adminRouter = require('./routes/admin');
 const apiRouter = require('./routes/api');
-app.use('/api', apiRouter);
+app.use('/api/admin', adminRouter);
+app.use('/api', authenticateApiKey, apiRouter);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -62,6 +103,9 @@ app.get('/health', (req, res) => {
     });
 });
 
+// Prometheus metrics (set METRICS_TOKEN to require a bearer token)
+app.get('/metrics', metricsHandler);
+
 // Serve the main HTML file
 app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'index.html'));
@@ -69,7 +113,7 @@ app.get('/', (req, res) => {
 
 // Error handling middleware
 app.use((err, req, res, next) => {
-    console.error(err.stack);
+    logger.error('Unhandled error', { error: err });
     res.status(500).json({ 
         error: 'Something went wrong!',
         message: process.env.NODE_ENV === 'development' ? err.message : undefined
@@ -83,10 +127,18 @@ app.use((req, res) => {
 
 // Start server only when not in Vercel environment
 if (process.env.VERCEL !== '1') {
-    app.listen(PORT, () => {
-        console.log(`🚀 Server running on http://localhost:${PORT}`);
-        console.log(`📍 Location Authenticity Detector API ready`);
+    const server = app.listen(PORT, () => {
+        logger.info('Location Authenticity Detector API ready', { url: `http://localhost:${PORT}` });
     });
+
+    // Continuous monitoring WebSocket (not available on Vercel, which has no upgrade support)
+    attachMonitoring(server);
+
+    // Delete data older than each tenant's retention period
+    startRetentionPurge();
+
+    // Retry webhook deliveries left queued or retrying by the previous run
+    resumePendingDeliveries();
 }
 
 // Export the Express app for Vercel
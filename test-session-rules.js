@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+/**
+ * Test that /api/assess evaluates the session rules on a single detection
+ * exactly like the browser does for its current session
+ * Usage: node test-session-rules.js (with the server running)
+ */
+
+const axios = require('axios');
+const SessionRulesCheck = require('./public/session-rules-check');
+const ruleSet = require('./session-rules.json');
+
+// Test server URL
+const BASE_URL = process.env.API_URL || 'http://localhost:3000';
+const headers = process.env.API_KEY ? { 'X-API-Key': process.env.API_KEY } : {};
+
+// One detection, as the browser holds it after a single run. Its accuracy and response time
+// would trip the session-only rules (checkIfDevtool, rdpCheck), which need several detections.
+const detection = {
+    location: {
+        latitude: 51.5073,
+        longitude: -0.1277,
+        accuracy: 150,
+        responseTime: 40,
+        timestamp: Date.now()
+    },
+    environment: {
+        screenResolution: { width: 1024, height: 768 },
+        colorDepth: 16,
+        touchSupport: false,
+        webglRenderer: 'Google SwiftShader',
+        timezone: 'America/New_York',
+        language: 'en-US',
+        platform: 'Win32',
+        userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36'
+    },
+    network: {
+        webrtcIps: ['10.0.0.2']
+    }
+};
+
+async function runTest() {
+    console.log('🧪 Session rules: browser vs /api/assess for a single detection\n');
+
+    const browser = SessionRulesCheck.runAllChecks({ currentSession: detection }, ruleSet);
+
+    const { data: challenge } = await axios.get(`${BASE_URL}/api/challenge`, { headers });
+    const { data: assessment } = await axios.post(`${BASE_URL}/api/assess`, { ...detection, nonce: challenge.nonce }, { headers });
+    const server = assessment.categories.rules.results;
+
+    let mismatches = 0;
+    browser.results.forEach(expected => {
+        const actual = server.find(result => result.checkName === expected.checkName);
+        const same = actual && actual.result === expected.result && actual.message === expected.message;
+        if (!same) mismatches++;
+        console.log(`   ${same ? '✅' : '❌'} ${expected.checkName}: browser ${expected.result ? 'failed' : 'passed'}, server ${actual ? (actual.result ? 'failed' : 'passed') : 'missing'}`);
+    });
+
+    if (server.length !== browser.results.length) {
+        mismatches++;
+        console.log(`   ❌ Browser ran ${browser.results.length} rules, server ${server.length}`);
+    }
+
+    if (mismatches) {
+        console.log(`\n❌ ${mismatches} difference(s)`);
+        process.exit(1);
+    }
+    console.log(`\n✅ Same result for all ${browser.results.length} rules (${browser.summary.failedChecks} failed)`);
+}
+
+runTest().catch(error => {
+    console.error('❌ Test failed:', error.response?.data || error.message);
+    process.exit(1);
+});